@@ -0,0 +1,7 @@
+module.exports = {
+  NEW_SLOT_SYNTAX: true,
+  VBIND_PROP_SHORTHAND: false,
+  // keep a small set of warnings in production builds, see the
+  // *-prod-lite-warnings builds in config.js
+  LITE_WARNINGS: false
+}
@@ -0,0 +1,100 @@
+/* @flow */
+
+import { warn, WarningIds } from 'core/util/index'
+import { isAsyncPlaceholder } from 'core/vdom/helpers/index'
+
+const isNotTextNode = (c: VNode) => c.tag || isAsyncPlaceholder(c)
+
+/**
+ * Pick the single root of a slot, ignoring whitespace text nodes.
+ * 获取插槽的唯一根节点，忽略空白文本节点
+ */
+function getSlotRoot (vm: Component, vnodes: ?Array<VNode>, slot: string): ?VNode {
+  if (!vnodes) {
+    return
+  }
+  const children = vnodes.filter(isNotTextNode)
+  if (process.env.NODE_ENV !== 'production' && children.length > 1) {
+    warn(
+      `<error-boundary> ${slot} slot can only contain a single element. ` +
+      `Use a wrapper element for multiple elements.`,
+      vm.$parent,
+      WarningIds.ERROR_BOUNDARY_MULTIPLE_ROOTS,
+      { slot }
+    )
+  }
+  return children.length ? children[0] : vnodes[0]
+}
+
+/**
+ * Catches errors thrown by its descendants (during render, in hooks
+ * or in event handlers) and renders the `fallback` scoped slot with
+ * { error, info, reset } instead of the default slot. reset() clears
+ * the error and re-mounts the default slot from scratch. Errors stop
+ * propagating at the boundary unless `propagate` is set.
+ *
+ * 错误边界组件：捕获后代组件（渲染、生命周期钩子、事件回调中）抛出的错误，
+ * 捕获到错误后，渲染fallback作用域插槽代替默认插槽，插槽参数为{ error, info, reset }
+ * 调用reset会清除错误，并重新创建默认插槽中的内容
+ * 默认情况下错误不会继续向上传播，设置了propagate时才会继续传播
+ */
+export default {
+  name: 'error-boundary',
+
+  props: {
+    propagate: Boolean
+  },
+
+  data () {
+    return {
+      error: null,
+      info: '',
+      // 每次重置时递增，用于生成新的key，使默认插槽中的内容被重新创建而不是复用
+      resetCount: 0
+    }
+  },
+
+  errorCaptured (err: Error, vm: Component, info: string) {
+    // 后代组件在渲染时抛出错误后，会继续使用上一次的渲染结果
+    // 这里修改error会使边界组件重新渲染，用fallback替换掉出错的内容
+    this.error = err
+    this.info = info
+    if (!this.propagate) {
+      return false
+    }
+  },
+
+  methods: {
+    reset () {
+      this.error = null
+      this.info = ''
+      this.resetCount++
+    }
+  },
+
+  render () {
+    if (this.error) {
+      const fallback = this.$scopedSlots.fallback
+      return fallback
+        ? getSlotRoot(this, fallback({
+          error: this.error,
+          info: this.info,
+          reset: this.reset
+        }), 'fallback')
+        : undefined
+    }
+    const child = getSlotRoot(this, this.$slots.default, 'default')
+    if (child) {
+      // 为内容加上与重置次数相关的key，重置后key发生变化，
+      // patch时会销毁旧的内容并重新挂载
+      // 父组件没有重新渲染时，插槽中的vnode会被复用，需要先去掉上一次加上的前缀
+      const prefix = `__error-boundary-${this._uid}-`
+      let key = child.key == null ? '' : String(child.key)
+      if (key.indexOf(prefix) === 0) {
+        key = key.slice(key.indexOf('-', prefix.length) + 1)
+      }
+      child.key = `${prefix}${this.resetCount}-${key}`
+    }
+    return child
+  }
+}
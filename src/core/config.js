@@ -0,0 +1,237 @@
+/* @flow */
+
+import {
+  no,
+  noop,
+  identity
+} from 'shared/util'
+
+import { LIFECYCLE_HOOKS } from 'shared/constants'
+import type { ErrorCode } from './util/error'
+import type { ComponentTraceEntry, WarningId } from './util/debug'
+
+export type Config = {
+  // user
+  optionMergeStrategies: { [key: string]: Function };
+  silent: boolean;
+  productionTip: boolean;
+  performance: boolean;
+  devtools: boolean;
+  errorHandler: ?(
+    err: Error,
+    vm: Component,
+    info: string,
+    code: ?ErrorCode,
+    trace: Array<ComponentTraceEntry>
+  ) => void;
+  warnHandler: ?(
+    msg: string,
+    vm: Component,
+    trace: string,
+    warning: { id: ?WarningId, params: ?Object }
+  ) => void;
+  ignoredElements: Array<string | RegExp>;
+  knownOptions: Array<string | RegExp>;
+  keyCodes: { [key: string]: number | Array<number> };
+  reactivityMode: 'defineProperty' | 'proxy';
+  maxUpdateCount: number;
+  throwOnInfiniteUpdate: boolean;
+  flushTimeBudget: number;
+  nextTickStrategy: ?((flush: () => void) => void) | 'manual';
+  schedulerHooks: ?{
+    onFlushStart?: (event: { queueSize: number, timestamp: number }) => void;
+    onWatcherRun?: (event: {
+      id: number,
+      type: 'render' | 'user' | 'internal',
+      expression: string,
+      componentName: ?string,
+      duration: number
+    }) => void;
+    onFlushEnd?: (event: { watcherCount: number, duration: number, timestamp: number }) => void;
+  };
+  trackAsyncErrors: boolean;
+  warnMixinConflicts: boolean;
+
+  // platform
+  isReservedTag: (x?: string) => boolean;
+  isReservedAttr: (x?: string) => boolean;
+  parsePlatformTagName: (x: string) => string;
+  isUnknownElement: (x?: string) => boolean;
+  getTagNamespace: (x?: string) => string | void;
+  mustUseProp: (tag: string, type: ?string, name: string) => boolean;
+
+  // private
+  async: boolean;
+
+  // legacy
+  _lifecycleHooks: Array<string>;
+};
+
+export default ({
+  /**
+   * Option merge strategies (used in core/util/options)
+   */
+  // $flow-disable-line
+  optionMergeStrategies: Object.create(null),
+
+  /**
+   * Whether to suppress warnings.
+   */
+  silent: false,
+
+  /**
+   * Show production mode tip message on boot?
+   */
+  productionTip: process.env.NODE_ENV !== 'production',
+
+  /**
+   * Whether to enable devtools
+   */
+  devtools: process.env.NODE_ENV !== 'production',
+
+  /**
+   * Whether to record perf
+   */
+  performance: false,
+
+  /**
+   * Error handler for watcher errors.
+   * Called with (err, vm, info, code, trace): code is one of ErrorCodes
+   * and trace is the structured component trace (see getComponentTrace).
+   */
+  errorHandler: null,
+
+  /**
+   * Warn handler for watcher warns.
+   * Called with (msg, vm, trace, { id, params }): id is one of WarningIds
+   * and params are the values interpolated into the message.
+   */
+  warnHandler: null,
+
+  /**
+   * Ignore certain custom elements
+   */
+  ignoredElements: [],
+
+  /**
+   * Custom component options used by plugins, so that they are not
+   * reported as unknown options in development. Seeded with the root
+   * options of common plugins (vue-router, vuex, vue-i18n, vue-apollo,
+   * vue-meta); push to it rather than replacing it.
+   */
+  knownOptions: ['router', 'store', 'i18n', 'apollo', 'head', 'metaInfo'],
+
+  /**
+   * Custom user key aliases for v-on
+   */
+  // $flow-disable-line
+  keyCodes: Object.create(null),
+
+  /**
+   * How plain objects and arrays are made reactive. 'proxy' wraps them
+   * with ES2015 Proxies so that added/deleted keys and index assignments
+   * are tracked. Must be set before any state is observed.
+   */
+  reactivityMode: 'defineProperty',
+
+  /**
+   * How many times a watcher may be re-queued within a single flush
+   * before it is considered an infinite update loop (dev only).
+   */
+  maxUpdateCount: 100,
+
+  /**
+   * Throw instead of warning when an infinite update loop is detected.
+   */
+  throwOnInfiniteUpdate: false,
+
+  /**
+   * Time budget in ms for a single slice of a scheduler flush. When
+   * greater than 0, large update batches yield to the browser after
+   * each slice and continue in a later task. 0 disables time slicing.
+   */
+  flushTimeBudget: 0,
+
+  /**
+   * Custom scheduler for nextTick callbacks, called with the function that
+   * flushes them, e.g. flush => requestAnimationFrame(flush). 'manual'
+   * queues callbacks until Vue.flushTicks() is called (for tests), or
+   * until a callback is queued after switching to another strategy.
+   * It is read whenever a flush is scheduled. The slices of a time-sliced flush (see flushTimeBudget) are
+   * continued through it as well instead of yielding to the browser.
+   */
+  nextTickStrategy: null,
+
+  /**
+   * Hooks called by the scheduler for profiling: onFlushStart with the
+   * queue size, onWatcherRun with each watcher's duration and onFlushEnd
+   * with the total flush time. Times are in ms (performance.now()).
+   */
+  schedulerHooks: null,
+
+  /**
+   * Report the unhandled rejections of promises created while a hook,
+   * watcher callback or event handler runs (e.g. fetch().then(...) in
+   * created()) through errorCaptured and errorHandler, as errors of
+   * that hook. Rejections handled by the caller are not reported.
+   * Other promises (e.g. an async method called without await) can be
+   * registered with Vue.trackPromise(). Browser only, it relies on the
+   * unhandledrejection event.
+   */
+  trackAsyncErrors: false,
+
+  /**
+   * Warn when a data property, method or computed property defined by
+   * a mixin (or an extended component) is overridden by another mixin
+   * or the component itself, naming both sources (dev only). Data
+   * properties are reported whenever the same key is returned by both.
+   * Set it before defining components: Vue.extend caches the merged
+   * options, so components extended earlier are not checked.
+   */
+  warnMixinConflicts: false,
+
+  /**
+   * Check if a tag is reserved so that it cannot be registered as a
+   * component. This is platform-dependent and may be overwritten.
+   */
+  isReservedTag: no,
+
+  /**
+   * Check if an attribute is reserved so that it cannot be used as a component
+   * prop. This is platform-dependent and may be overwritten.
+   */
+  isReservedAttr: no,
+
+  /**
+   * Check if a tag is an unknown element.
+   * Platform-dependent.
+   */
+  isUnknownElement: no,
+
+  /**
+   * Get the namespace of an element
+   */
+  getTagNamespace: noop,
+
+  /**
+   * Parse the real tag name for the specific platform.
+   */
+  parsePlatformTagName: identity,
+
+  /**
+   * Check if an attribute must be bound using property, e.g. value
+   * Platform-dependent.
+   */
+  mustUseProp: no,
+
+  /**
+   * Perform updates asynchronously. Intended to be used by Vue Test Utils
+   * This will significantly reduce performance if set to false.
+   */
+  async: true,
+
+  /**
+   * Exposed for legacy reasons
+   */
+  _lifecycleHooks: LIFECYCLE_HOOKS
+}: Config)
@@ -0,0 +1,123 @@
+/* @flow */
+
+import { ASSET_TYPES } from 'shared/constants'
+import { warn, WarningIds } from '../util/index'
+
+// 插件会读取传入的构造函数上的全局API（例如vue-router读取Vue.config.optionMergeStrategies、
+// vuex读取Vue.version），Vue.extend创建的子类没有这些静态属性，需要从Vue上转发
+const forwardedStatics = [
+  'config',
+  'version',
+  'util',
+  'set',
+  'delete',
+  'nextTick',
+  'observable'
+]
+
+export type AppConfig = {
+  errorHandler: ?Function;
+  warnHandler: ?Function;
+  globalProperties: Object;
+};
+
+export function initCreateApp (Vue: GlobalAPI) {
+  /**
+   * Create an isolated application. Components, directives, filters,
+   * mixins and plugins registered on the app only apply to the
+   * components of its tree, the global Vue constructor is left
+   * untouched, so that several apps can live on the same page.
+   *
+   * The app is backed by a subclass of Vue used as the base constructor
+   * (options._base) of its tree: plain-object components are extended
+   * from it, so they inherit the app's assets and mixins, while the
+   * globally registered ones are still inherited from Vue.
+   *
+   * 创建一个相互隔离的应用，在应用上注册的组件、指令、过滤器、混入和插件只对该应用的组件树生效，
+   * 不会修改全局的Vue构造函数，这样同一个页面中的多个应用不会互相影响
+   * 应用内部是一个Vue的子类，作为组件树的基础构造函数（options._base），
+   * 组件树中的组件都从该子类派生，因此会继承应用注册的资源和混入，同时仍然继承全局注册的资源
+   */
+  Vue.createApp = function (rootOptions?: Object): Object {
+    const extendOptions = {}
+    const App = Vue.extend(extendOptions)
+    // 子组件的构造函数通过options._base.extend创建，将_base指向子类，使子组件继承应用的选项
+    App.options._base = extendOptions._base = App
+    // 全局混入改变Vue.options后，子类的选项会基于extendOptions重新合并，
+    // 使extendOptions共享应用的资源对象，避免丢失在应用上注册的资源
+    ASSET_TYPES.forEach(type => {
+      extendOptions[type + 's'] = App.options[type + 's']
+    })
+    forwardedStatics.forEach(key => {
+      Object.defineProperty(App, key, {
+        configurable: true,
+        get: () => (Vue: any)[key]
+      })
+    })
+
+    const config: AppConfig = App.appConfig = {
+      // 优先于全局的config.errorHandler/config.warnHandler处理应用内组件的错误和警告
+      errorHandler: null,
+      warnHandler: null,
+      // 添加到所有应用内组件实例上的属性，相当于全局的Vue.prototype
+      globalProperties: App.prototype
+    }
+
+    let instance: ?Component = null
+
+    const app = {
+      config,
+
+      use (plugin: Function | Object, ...args: Array<any>) {
+        App.use(plugin, ...args)
+        return app
+      },
+
+      unuse (plugin: Function | Object | string) {
+        App.unuse(plugin)
+        return app
+      },
+
+      mixin (mixin: Object) {
+        App.mixin(mixin)
+        return app
+      },
+
+      mount (el?: string | Element, hydrating?: boolean): Component {
+        if (instance) {
+          if (process.env.NODE_ENV !== 'production') {
+            warn(
+              `The app has already been mounted. Create a new app ` +
+              `with Vue.createApp() to mount another instance.`,
+              instance,
+              WarningIds.APP_ALREADY_MOUNTED
+            )
+          }
+          return instance
+        }
+        instance = new App(rootOptions)
+        return instance.$mount(el, hydrating)
+      },
+
+      unmount () {
+        if (instance) {
+          instance.$destroy()
+          instance = null
+        }
+      }
+    }
+
+    // app.component(id) 获取资源，app.component(id, definition) 注册资源并返回app以便链式调用
+    ASSET_TYPES.forEach(type => {
+      app[type] = function (id: string, definition?: Function | Object) {
+        if (!definition) {
+          return App.options[type + 's'][id]
+        }
+        App[type](id, definition)
+        return app
+      }
+    })
+
+    return app
+  }
+}
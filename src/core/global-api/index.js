@@ -0,0 +1,126 @@
+/* @flow */
+
+import config from '../config'
+import { initUse } from './use'
+import { initMixin } from './mixin'
+import { initExtend } from './extend'
+import { initAssetRegisters } from './assets'
+import { initCreateApp } from './create-app'
+import { set, del } from '../observer/index'
+import { ASSET_TYPES } from 'shared/constants'
+import builtInComponents from '../components/index'
+import { toReactive, markRaw } from 'core/observer/index'
+import { readonly } from 'core/observer/readonly'
+import { registerObservable } from 'core/observer/adapter'
+import { computed } from 'core/observer/computed'
+import { findLeaks } from 'core/observer/dep'
+import { startProfiling, stopProfiling } from 'core/util/perf'
+import {
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from 'core/observer/effect-scope'
+
+import {
+  warn,
+  extend,
+  WarningIds,
+  nextTick,
+  flushTicks,
+  ErrorCodes,
+  trackPromise,
+  noShadow,
+  mergeOptions,
+  defineReactive
+} from '../util/index'
+
+export function initGlobalAPI (Vue: GlobalAPI) {
+  // config
+  const configDef = {}
+  configDef.get = () => config
+  if (process.env.NODE_ENV !== 'production') {
+    configDef.set = () => {
+      warn(
+        'Do not replace the Vue.config object, set individual fields instead.',
+        undefined,
+        WarningIds.CONFIG_REPLACED
+      )
+    }
+  }
+  Object.defineProperty(Vue, 'config', configDef)
+
+  // exposed util methods.
+  // NOTE: these are not considered part of the public API - avoid relying on
+  // them unless you are aware of the risk.
+  Vue.util = {
+    warn,
+    extend,
+    mergeOptions,
+    defineReactive
+  }
+
+  Vue.set = set
+  Vue.delete = del
+  Vue.nextTick = nextTick
+  Vue.flushTicks = flushTicks
+
+  // 错误来源编码，用于在errorHandler/errorCaptured中判断错误来源
+  Vue.ErrorCodes = ErrorCodes
+  // 手动注册需要交给errorCaptured/errorHandler处理错误的promise
+  Vue.trackPromise = trackPromise
+
+  // 开发环境下的调试工具
+  if (process.env.NODE_ENV !== 'production') {
+    Vue.debug = {
+      findLeaks
+    }
+  }
+
+  // 记录组件初始化、渲染、patch以及调度器的耗时，导出为Chrome trace格式
+  Vue.startProfiling = startProfiling
+  Vue.stopProfiling = stopProfiling
+
+  // 2.6 explicit observable API
+  // returns a reactive proxy instead of the object itself when
+  // config.reactivityMode is 'proxy'
+  Vue.observable = <T>(obj: T): T => {
+    return toReactive(obj)
+  }
+
+  // only the top-level keys of the object are made reactive
+  Vue.shallowObservable = <T>(obj: T): T => {
+    return toReactive(obj, false, true /* shallow */)
+  }
+
+  Vue.readonly = readonly
+  Vue.markRaw = markRaw
+
+  // 标记混入中不允许被覆盖的方法或计算属性
+  Vue.noShadow = noShadow
+
+  Vue.registerObservable = registerObservable
+
+  // 可以通过provide提供给后代组件的计算值
+  Vue.computed = computed
+
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+  Vue.onScopeDispose = onScopeDispose
+
+  Vue.options = Object.create(null)
+  ASSET_TYPES.forEach(type => {
+    Vue.options[type + 's'] = Object.create(null)
+  })
+
+  // this is used to identify the "base" constructor to extend all plain-object
+  // components with in Weex's multi-instance scenarios.
+  Vue.options._base = Vue
+
+  extend(Vue.options.components, builtInComponents)
+
+  initUse(Vue)
+  initMixin(Vue)
+  initExtend(Vue)
+  initAssetRegisters(Vue)
+  initCreateApp(Vue)
+}
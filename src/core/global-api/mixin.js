@@ -0,0 +1,24 @@
+/* @flow */
+
+import { extend, mergeOptions, setMergeSource } from '../util/index'
+import { recordPluginMixin } from './use'
+
+export function initMixin (Vue: GlobalAPI) {
+  Vue.mixin = function (mixin: Object) {
+    // 记录全局混入以及第一个混入之前的选项，卸载插件时需要据此重新合并选项
+    // 对于子类，还需要记录第一个混入之前的extendOptions，
+    // resolveConstructorOptions会把混入修改过的选项合并进extendOptions
+    const mixins = this._mixins || (this._mixins = [])
+    if (!mixins.length) {
+      this._mixinBase = this.options
+      if (this.super) {
+        this._mixinExtendOptions = extend({}, this.extendOptions)
+      }
+    }
+    setMergeSource(`global mixin #${mixins.length + 1}`)
+    this.options = mergeOptions(this.options, mixin)
+    mixins.push(mixin)
+    recordPluginMixin(this, mixin)
+    return this
+  }
+}
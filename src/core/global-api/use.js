@@ -0,0 +1,383 @@
+/* @flow */
+
+import { ASSET_TYPES } from 'shared/constants'
+import { resolveConstructorOptions } from '../instance/init'
+import {
+  warn,
+  extend,
+  hasOwn,
+  remove,
+  toArray,
+  WarningIds,
+  mergeOptions
+} from '../util/index'
+
+/**
+ * Changes made to a constructor while a plugin was being installed,
+ * so that Vue.unuse() can roll them back.
+ * 插件安装期间对构造函数所做的修改，用于在Vue.unuse时还原
+ */
+type PluginRecord = {
+  Ctor: GlobalAPI;
+  mixins: Array<Object>;
+  assets: Array<{ type: string; id: string; definition: any; prev: any }>;
+  // 原型上新增或被修改的属性 => 修改前的属性描述符（新增的属性为undefined）
+  proto: { [key: string]: ?Object };
+  nested: Array<PluginRecord>; // 安装期间嵌套安装的插件
+};
+
+// 正在安装的插件的记录，插件的install中可能继续调用Vue.use，因此使用栈结构
+const recordStack: Array<PluginRecord> = []
+
+function currentRecord (Ctor: GlobalAPI): ?PluginRecord {
+  const record = recordStack[recordStack.length - 1]
+  return record && record.Ctor === Ctor ? record : null
+}
+
+export function recordPluginMixin (Ctor: GlobalAPI, mixin: Object) {
+  const record = currentRecord(Ctor)
+  if (record) {
+    record.mixins.push(mixin)
+  }
+}
+
+export function recordPluginAsset (
+  Ctor: GlobalAPI,
+  type: string,
+  id: string,
+  definition: any,
+  prev: any
+) {
+  const record = currentRecord(Ctor)
+  if (record) {
+    record.assets.push({ type, id, definition, prev })
+  }
+}
+
+/**
+ * Name of a plugin, only when it is declared explicitly: an own name
+ * on a plugin object, or a pluginName on a plugin object, function or
+ * class. The name of a function is not used, minified functions and
+ * classes often share the same one.
+ * 获取插件显式声明的名称：插件对象自身的name，或者插件对象、函数、类上的pluginName
+ * 不使用函数本身的name，压缩后的函数和类经常同名
+ */
+function getPluginName (plugin: any): ?string {
+  if (!plugin || (typeof plugin !== 'object' && typeof plugin !== 'function')) {
+    return
+  }
+  if (typeof plugin.pluginName === 'string') {
+    return plugin.pluginName
+  }
+  if (typeof plugin === 'object' && hasOwn(plugin, 'name') && typeof plugin.name === 'string') {
+    return plugin.name
+  }
+}
+
+function matchPlugin (plugin: any, target: any): boolean {
+  return plugin === target || (
+    typeof target === 'string' && getPluginName(plugin) === target
+  )
+}
+
+function findPlugin (installedPlugins: Array<any>, target: any): any {
+  for (let i = 0; i < installedPlugins.length; i++) {
+    if (matchPlugin(installedPlugins[i], target)) {
+      return installedPlugins[i]
+    }
+  }
+}
+
+// 依赖的插件可以安装在父类上，例如应用（Vue.createApp）的插件可以依赖全局安装的插件
+function isInstalled (Ctor: any, target: any): boolean {
+  while (Ctor) {
+    if (Ctor._installedPlugins && findPlugin(Ctor._installedPlugins, target)) {
+      return true
+    }
+    Ctor = Ctor.super
+  }
+  return false
+}
+
+function formatPlugin (plugin: any): string {
+  const name = typeof plugin === 'string' ? plugin : getPluginName(plugin)
+  return name ? `"${name}"` : 'anonymous plugin'
+}
+
+export function initUse (Vue: GlobalAPI) {
+  /**
+   * Install a plugin. Besides install(), a plugin object can declare:
+   * - name: used to refer to it in dependencies and Vue.unuse()
+   *   (function and class plugins declare a static pluginName instead)
+   * - dependencies: plugins (or names) that must be installed first
+   * - validateOptions(...options): return false or an error message to
+   *   reject the options passed to Vue.use(plugin, ...options)
+   * - uninstall(Vue): called by Vue.unuse()
+   *
+   * 安装插件，插件对象除了install方法之外，还可以声明：
+   * - name：插件名称，可以在dependencies和Vue.unuse中使用（函数和类插件使用静态属性pluginName声明）
+   * - dependencies：依赖的插件（或插件名称），必须在该插件之前安装
+   * - validateOptions：校验传给Vue.use的选项，返回false或错误信息时不安装
+   * - uninstall：卸载插件时调用
+   */
+  Vue.use = function (plugin: Function | Object) {
+    const installedPlugins = (this._installedPlugins || (this._installedPlugins = []))
+    if (installedPlugins.indexOf(plugin) > -1) {
+      return this
+    }
+
+    // 同名的插件仍然会被安装，通过名称引用时使用先安装的插件
+    const name = getPluginName(plugin)
+    if (process.env.NODE_ENV !== 'production' && name && findPlugin(installedPlugins, name)) {
+      warn(
+        `Another plugin named "${name}" is already installed, ` +
+        `referring to "${name}" resolves to the one installed first.`,
+        undefined,
+        WarningIds.PLUGIN_NAME_CONFLICT,
+        { name }
+      )
+    }
+
+    // 检查依赖的插件是否已经安装
+    const dependencies = plugin.dependencies || []
+    for (let i = 0; i < dependencies.length; i++) {
+      if (!isInstalled(this, dependencies[i])) {
+        if (process.env.NODE_ENV !== 'production') {
+          warn(
+            `Plugin ${formatPlugin(plugin)} depends on ${formatPlugin(dependencies[i])}, ` +
+            `which must be installed first.`,
+            undefined,
+            WarningIds.PLUGIN_DEPENDENCY_MISSING,
+            { name, dependency: getPluginName(dependencies[i]) || dependencies[i] }
+          )
+        }
+        return this
+      }
+    }
+
+    // additional parameters
+    const args = toArray(arguments, 1)
+    if (typeof plugin.validateOptions === 'function') {
+      const result = plugin.validateOptions.apply(plugin, args)
+      if (result === false || typeof result === 'string') {
+        if (process.env.NODE_ENV !== 'production') {
+          warn(
+            `Invalid options for plugin ${formatPlugin(plugin)}` +
+            (typeof result === 'string' ? `: ${result}` : '.'),
+            undefined,
+            WarningIds.PLUGIN_INVALID_OPTIONS,
+            { name, message: typeof result === 'string' ? result : undefined }
+          )
+        }
+        return this
+      }
+    }
+    args.unshift(this)
+
+    // 记录安装期间对混入、资源以及原型的修改
+    const record: PluginRecord = {
+      Ctor: this,
+      mixins: [],
+      assets: [],
+      proto: {},
+      nested: []
+    }
+    const parent = currentRecord(this)
+    if (parent) {
+      parent.nested.push(record)
+    }
+    const proto = this.prototype
+    const descriptors = getOwnDescriptors(proto)
+    recordStack.push(record)
+    try {
+      if (typeof plugin.install === 'function') {
+        plugin.install.apply(plugin, args)
+      } else if (typeof plugin === 'function') {
+        plugin.apply(null, args)
+      }
+    } finally {
+      recordStack.pop()
+    }
+    Object.getOwnPropertyNames(proto).forEach(key => {
+      if (!isClaimedByNested(record, key) && isChanged(descriptors[key], Object.getOwnPropertyDescriptor(proto, key))) {
+        record.proto[key] = descriptors[key]
+      }
+    })
+
+    installedPlugins.push(plugin)
+    const records = this._pluginRecords || (this._pluginRecords = new Map())
+    records.set(plugin, record)
+    return this
+  }
+
+  /**
+   * Uninstall a plugin (or a plugin name): call its uninstall(Vue), then
+   * roll back the global mixins, assets and prototype properties it
+   * registered while being installed. Plugins other installed plugins
+   * depend on can't be uninstalled.
+   *
+   * 卸载插件：先调用插件的uninstall方法，再还原插件安装期间注册的全局混入、资源以及原型上的属性
+   * 被其他已安装的插件依赖时，不能卸载
+   */
+  Vue.unuse = function (target: Function | Object | string) {
+    const installedPlugins = this._installedPlugins || []
+    const plugin = findPlugin(installedPlugins, target)
+    if (!plugin) {
+      return this
+    }
+    for (let i = 0; i < installedPlugins.length; i++) {
+      const dependencies = installedPlugins[i].dependencies || []
+      for (let j = 0; j < dependencies.length; j++) {
+        if (matchPlugin(plugin, dependencies[j])) {
+          if (process.env.NODE_ENV !== 'production') {
+            warn(
+              `Cannot uninstall plugin ${formatPlugin(plugin)}: ` +
+              `plugin ${formatPlugin(installedPlugins[i])} depends on it.`,
+              undefined,
+              WarningIds.PLUGIN_REQUIRED,
+              { name: getPluginName(plugin), dependent: getPluginName(installedPlugins[i]) }
+            )
+          }
+          return this
+        }
+      }
+    }
+
+    if (typeof plugin.uninstall === 'function') {
+      plugin.uninstall(this)
+    }
+    const record = this._pluginRecords && this._pluginRecords.get(plugin)
+    if (record) {
+      rollback(this, record)
+      this._pluginRecords.delete(plugin)
+    }
+    remove(installedPlugins, plugin)
+    return this
+  }
+}
+
+function getOwnDescriptors (obj: Object): { [key: string]: Object } {
+  const descriptors = {}
+  Object.getOwnPropertyNames(obj).forEach(key => {
+    descriptors[key] = Object.getOwnPropertyDescriptor(obj, key)
+  })
+  return descriptors
+}
+
+function isChanged (prev: ?Object, next: Object): boolean {
+  return !prev ||
+    prev.value !== next.value ||
+    prev.get !== next.get ||
+    prev.set !== next.set
+}
+
+// 嵌套安装的插件修改的属性属于该插件，由其自身负责还原
+function isClaimedByNested (record: PluginRecord, key: string): boolean {
+  return record.nested.some(nested =>
+    hasOwn(nested.proto, key) || isClaimedByNested(nested, key)
+  )
+}
+
+function rollback (Ctor: GlobalAPI, record: PluginRecord) {
+  const proto = Ctor.prototype
+  Object.keys(record.proto).forEach(key => {
+    const descriptor = record.proto[key]
+    if (descriptor) {
+      Object.defineProperty(proto, key, descriptor)
+    } else {
+      delete proto[key]
+    }
+  })
+
+  // 按注册的相反顺序移除资源，覆盖了已有资源时还原为原来的定义
+  // 注册之后又被其他代码覆盖的资源保持不变
+  for (let i = record.assets.length - 1; i >= 0; i--) {
+    const { type, id, definition, prev } = record.assets[i]
+    const assets = Ctor.options[type + 's']
+    if (assets[id] === definition) {
+      let owner = assets
+      while (owner && !hasOwn(owner, id)) {
+        owner = Object.getPrototypeOf(owner)
+      }
+      if (owner) {
+        delete owner[id]
+      }
+      if (prev !== undefined && assets[id] !== prev) {
+        assets[id] = prev
+      }
+    }
+  }
+
+  if (record.mixins.length) {
+    removeMixins(Ctor, record.mixins)
+  }
+}
+
+/**
+ * Merged options can't be "unmerged", so the options are merged again
+ * from the ones before the first global mixin, applying the remaining
+ * mixins. For a subclass (e.g. the constructor of an app) the base is
+ * rebuilt from the current options of its super class, like
+ * resolveConstructorOptions does, so that global mixins applied to the
+ * super class since then are kept. Assets registered after the mixins
+ * live in the objects created by the merges, they are collected and
+ * registered again.
+ *
+ * 合并后的选项无法拆分，因此从第一个全局混入之前的选项开始，重新合并剩余的混入
+ * 对于子类（例如应用的构造函数），与resolveConstructorOptions一样基于父类当前的选项重新合并，
+ * 避免丢失之后在父类上添加的全局混入
+ * 混入之后注册的资源保存在合并产生的资源对象中，需要收集起来重新注册
+ */
+function removeMixins (Ctor: GlobalAPI, removed: Array<Object>) {
+  let base = Ctor._mixinBase
+  let superOptions
+  if (Ctor.super) {
+    superOptions = Ctor.superOptions = resolveConstructorOptions(Ctor.super)
+    // 还原第一个混入之前的extendOptions，其中可能已经合并了混入修改过的选项
+    const extendOptions = Ctor.extendOptions
+    const pristine = Ctor._mixinExtendOptions
+    Object.keys(extendOptions).forEach(key => {
+      if (!hasOwn(pristine, key)) delete extendOptions[key]
+    })
+    extend(extendOptions, pristine)
+    base = mergeOptions(superOptions, extendOptions)
+    if (base.name) {
+      base.components[base.name] = Ctor
+    }
+  }
+  const remaining = Ctor._mixins.filter(mixin => removed.indexOf(mixin) < 0)
+  const registered = {}
+  ASSET_TYPES.forEach(type => {
+    const key = type + 's'
+    const res = registered[key] = {}
+    let assets = Ctor.options[key]
+    while (assets && !isBaseAssets(assets, base[key], superOptions && superOptions[key])) {
+      Object.keys(assets).forEach(id => {
+        if (!hasOwn(res, id) && !isMixinAsset(removed, key, id, assets[id])) {
+          res[id] = assets[id]
+        }
+      })
+      assets = Object.getPrototypeOf(assets)
+    }
+  })
+  let options = base
+  for (let i = 0; i < remaining.length; i++) {
+    options = mergeOptions(options, remaining[i])
+  }
+  ASSET_TYPES.forEach(type => {
+    extend(options[type + 's'], registered[type + 's'])
+  })
+  Ctor.options = options
+  Ctor._mixins = remaining
+}
+
+// 父类的资源对象（以及其原型链上更早的资源对象）由父类负责，不需要重新注册
+function isBaseAssets (assets: Object, baseAssets: Object, superAssets: ?Object): boolean {
+  return assets === baseAssets || (!!superAssets && (
+    assets === superAssets || Object.prototype.isPrototypeOf.call(assets, superAssets)
+  ))
+}
+
+function isMixinAsset (mixins: Array<Object>, key: string, id: string, value: any): boolean {
+  return mixins.some(mixin => !!mixin[key] && mixin[key][id] === value)
+}
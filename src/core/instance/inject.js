@@ -0,0 +1,145 @@
+/* @flow */
+
+import { hasOwn } from 'shared/util'
+import {
+  warn,
+  WarningIds,
+  hasSymbol,
+  noop,
+  formatComponentName,
+  handleError,
+  ErrorCodes
+} from '../util/index'
+import { defineReactive, toggleObserving } from '../observer/index'
+import { isComputedRef, bindComputedRef, provideComputedRef } from '../observer/computed'
+
+export function initProvide (vm: Component) {
+  const provide = vm.$options.provide
+  if (provide) {
+    const shared = typeof provide !== 'function'
+    let provided = typeof provide === 'function' ? provide.call(vm) : provide
+    // 提供的计算值绑定到当前组件上，随当前组件一起销毁
+    // 静态的provide对象被所有实例共享，provide()也可能返回共享的对象，
+    // 因此先复制一份再写入绑定后的计算值，避免覆盖其他组件提供的计算值
+    if (provided) {
+      const source = provided
+      const keys = hasSymbol ? Reflect.ownKeys(source) : Object.keys(source)
+      for (let i = 0; i < keys.length; i++) {
+        const key = keys[i]
+        const value = source[key]
+        if (isComputedRef(value)) {
+          if (provided === source) {
+            provided = copyProvided(source, keys)
+          }
+          provided[key] = provideComputedRef(value, vm, shared)
+        }
+      }
+    }
+    vm._provided = provided
+  }
+}
+
+function copyProvided (provide: Object, keys: Array<any>): Object {
+  const res = {}
+  for (let i = 0; i < keys.length; i++) {
+    res[keys[i]] = provide[keys[i]]
+  }
+  return res
+}
+
+export function initInjections (vm: Component) {
+  const result = resolveInject(vm.$options.inject, vm)
+  if (result) {
+    toggleObserving(false)
+    Object.keys(result).forEach(key => {
+      const value = result[key]
+      // 注入的是计算值（Vue.computed）时，定义为读取计算值的getter，
+      // 这样注入的值会随提供者的状态同步更新
+      if (isComputedRef(value)) {
+        Object.defineProperty(vm, key, {
+          enumerable: true,
+          configurable: true,
+          get: () => {
+            // 默认值工厂函数返回的计算值没有提供者，在首次读取时绑定到当前组件上
+            // （此时initState已经完成，组件可以创建watcher）
+            bindComputedRef(value, vm)
+            return value.value
+          },
+          set: process.env.NODE_ENV !== 'production'
+            ? () => warnInjectionMutated(vm, key)
+            : noop
+        })
+      /* istanbul ignore else */
+      } else if (process.env.NODE_ENV !== 'production') {
+        defineReactive(vm, key, value, () => warnInjectionMutated(vm, key))
+      } else {
+        defineReactive(vm, key, value)
+      }
+    })
+    toggleObserving(true)
+  }
+}
+
+function warnInjectionMutated (vm: Component, key: string) {
+  warn(
+    `Avoid mutating an injected value directly since the changes will be ` +
+    `overwritten whenever the provided component re-renders. ` +
+    `injection being mutated: "${key}"`,
+    vm,
+    WarningIds.INJECTION_MUTATED,
+    { key }
+  )
+}
+
+export function resolveInject (inject: any, vm: Component): ?Object {
+  if (inject) {
+    // inject is :any because flow is not smart enough to figure out cached
+    const result = Object.create(null)
+    const keys = hasSymbol
+      ? Reflect.ownKeys(inject)
+      : Object.keys(inject)
+
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i]
+      // #6574 in case the inject object is observed...
+      if (key === '__ob__') continue
+      const provideKey = inject[key].from
+      let source = vm
+      while (source) {
+        if (source._provided && hasOwn(source._provided, provideKey)) {
+          result[key] = source._provided[provideKey]
+          break
+        }
+        source = source.$parent
+      }
+      if (!source) {
+        if ('default' in inject[key]) {
+          const provideDefault = inject[key].default
+          result[key] = typeof provideDefault === 'function'
+            ? provideDefault.call(vm)
+            : provideDefault
+        } else {
+          // 缺少必需的注入时作为错误交给errorCaptured和errorHandler处理
+          // 开发环境下列出查找过的祖先组件，便于定位缺少provide的位置
+          const from = String(provideKey)
+          let msg = `Injection "${String(key)}" not found` +
+            (from !== String(key) ? ` (injected from "${from}")` : '') + `.`
+          if (process.env.NODE_ENV !== 'production') {
+            const searched = []
+            let ancestor = vm.$parent
+            while (ancestor) {
+              searched.push(formatComponentName(ancestor, false))
+              ancestor = ancestor.$parent
+            }
+            msg += (searched.length
+              ? ` Searched the ancestor chain: ${searched.join(' -> ')}.`
+              : ` The component has no ancestors to inject from.`) +
+              ` Provide "${from}" in one of the ancestors, or declare a default for the injection.`
+          }
+          handleError(new Error(msg), vm, `inject "${String(key)}"`, ErrorCodes.INJECTION)
+        }
+      }
+    }
+    return result
+  }
+}
@@ -0,0 +1,483 @@
+/* @flow */
+
+import config from '../config'
+import Watcher from '../observer/watcher'
+import Dep, { pushTarget, popTarget } from '../observer/dep'
+import { isUpdatingChildComponent } from './lifecycle'
+
+import {
+  set,
+  del,
+  toReactive,
+  defineReactive,
+  toggleObserving
+} from '../observer/index'
+
+import {
+  warn,
+  WarningIds,
+  bind,
+  noop,
+  extend,
+  hasOwn,
+  hyphenate,
+  isReserved,
+  handleError,
+  nativeWatch,
+  validateProp,
+  isPlainObject,
+  isServerRendering,
+  isReservedAttribute,
+  invokeWithErrorHandling,
+  ErrorCodes
+} from '../util/index'
+
+const sharedPropertyDefinition = {
+  enumerable: true,
+  configurable: true,
+  get: noop,
+  set: noop
+}
+
+export function proxy (target: Object, sourceKey: string, key: string) {
+  sharedPropertyDefinition.get = function proxyGetter () {
+    return this[sourceKey][key]
+  }
+  sharedPropertyDefinition.set = function proxySetter (val) {
+    this[sourceKey][key] = val
+  }
+  Object.defineProperty(target, key, sharedPropertyDefinition)
+}
+
+export function initState (vm: Component) {
+  vm._watchers = []
+  const opts = vm.$options
+  if (opts.props) initProps(vm, opts.props)
+  if (opts.methods) initMethods(vm, opts.methods)
+  if (opts.data) {
+    initData(vm)
+  } else {
+    vm._data = toReactive({}, true /* asRootData */)
+  }
+  if (opts.computed) initComputed(vm, opts.computed)
+  if (opts.watch && opts.watch !== nativeWatch) {
+    initWatch(vm, opts.watch)
+  }
+}
+
+function initProps (vm: Component, propsOptions: Object) {
+  const propsData = vm.$options.propsData || {}
+  const props = vm._props = {}
+  // cache prop keys so that future props updates can iterate using Array
+  // instead of dynamic object key enumeration.
+  const keys = vm.$options._propKeys = []
+  const isRoot = !vm.$parent
+  // root instance props should be converted
+  if (!isRoot) {
+    toggleObserving(false)
+  }
+  for (const key in propsOptions) {
+    keys.push(key)
+    const value = validateProp(key, propsOptions, propsData, vm)
+    /* istanbul ignore else */
+    if (process.env.NODE_ENV !== 'production') {
+      const hyphenatedKey = hyphenate(key)
+      if (isReservedAttribute(hyphenatedKey) ||
+          config.isReservedAttr(hyphenatedKey)) {
+        warn(
+          `"${hyphenatedKey}" is a reserved attribute and cannot be used as component prop.`,
+          vm,
+          WarningIds.PROP_RESERVED_ATTRIBUTE,
+          { prop: key }
+        )
+      }
+      defineReactive(props, key, value, () => {
+        if (!isRoot && !isUpdatingChildComponent) {
+          warn(
+            `Avoid mutating a prop directly since the value will be ` +
+            `overwritten whenever the parent component re-renders. ` +
+            `Instead, use a data or computed property based on the prop's ` +
+            `value. Prop being mutated: "${key}"`,
+            vm,
+            WarningIds.PROP_MUTATED,
+            { prop: key }
+          )
+        }
+      })
+    } else {
+      defineReactive(props, key, value)
+    }
+    // static props are already proxied on the component's prototype
+    // during Vue.extend(). We only need to proxy props defined at
+    // instantiation here.
+    if (!(key in vm)) {
+      proxy(vm, `_props`, key)
+    }
+  }
+  toggleObserving(true)
+}
+
+function initData (vm: Component) {
+  let data = vm.$options.data
+  data = vm._data = typeof data === 'function'
+    ? getData(data, vm)
+    : data || {}
+  if (!isPlainObject(data)) {
+    data = {}
+    process.env.NODE_ENV !== 'production' && warn(
+      'data functions should return an object:\n' +
+      'https://vuejs.org/v2/guide/components.html#data-Must-Be-a-Function',
+      vm,
+      WarningIds.DATA_NOT_OBJECT
+    )
+  }
+  // proxy data on instance
+  const keys = Object.keys(data)
+  const props = vm.$options.props
+  const methods = vm.$options.methods
+  let i = keys.length
+  while (i--) {
+    const key = keys[i]
+    if (process.env.NODE_ENV !== 'production') {
+      if (methods && hasOwn(methods, key)) {
+        warn(
+          `Method "${key}" has already been defined as a data property.`,
+          vm,
+          WarningIds.METHOD_DATA_CONFLICT,
+          { key }
+        )
+      }
+    }
+    if (props && hasOwn(props, key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `The data property "${key}" is already declared as a prop. ` +
+        `Use prop default value instead.`,
+        vm,
+        WarningIds.DATA_PROP_CONFLICT,
+        { key }
+      )
+    } else if (!isReserved(key)) {
+      proxy(vm, `_data`, key)
+    }
+  }
+  // observe data
+  // in 'proxy' reactivity mode the instance reads data through the proxy
+  vm._data = toReactive(data, true /* asRootData */)
+}
+
+export function getData (data: Function, vm: Component): any {
+  // #7573 disable dep collection when invoking data getters
+  pushTarget()
+  try {
+    return data.call(vm, vm)
+  } catch (e) {
+    handleError(e, vm, `data()`, ErrorCodes.DATA_FUNCTION)
+    return {}
+  } finally {
+    popTarget()
+  }
+}
+
+const computedWatcherOptions = { lazy: true }
+
+function initComputed (vm: Component, computed: Object) {
+  // $flow-disable-line
+  const watchers = vm._computedWatchers = Object.create(null)
+  // computed properties are just getters during SSR
+  const isSSR = isServerRendering()
+  // 开发环境下统计每个计算属性的求值次数和缓存命中次数，供vm.$computedInfo使用
+  if (process.env.NODE_ENV !== 'production') {
+    vm._computedStats = Object.create(null)
+  }
+
+  for (const key in computed) {
+    const userDef = computed[key]
+    const getter = typeof userDef === 'function' ? userDef : userDef.get
+    if (process.env.NODE_ENV !== 'production' && getter == null) {
+      warn(
+        `Getter is missing for computed property "${key}".`,
+        vm,
+        WarningIds.COMPUTED_GETTER_MISSING,
+        { key }
+      )
+    }
+    if (
+      process.env.NODE_ENV !== 'production' &&
+      typeof userDef !== 'function' &&
+      userDef.set != null &&
+      typeof userDef.set !== 'function'
+    ) {
+      warn(
+        `Setter for computed property "${key}" must be a function, ` +
+        `got ${typeof userDef.set}.`,
+        vm,
+        WarningIds.COMPUTED_SETTER_INVALID,
+        { key }
+      )
+    }
+
+    if (!isSSR) {
+      // create internal watcher for the computed property.
+      watchers[key] = new Watcher(
+        vm,
+        getter || noop,
+        noop,
+        process.env.NODE_ENV !== 'production' && typeof userDef !== 'function'
+          ? extend({ onTrack: userDef.onTrack, onTrigger: userDef.onTrigger }, computedWatcherOptions)
+          : computedWatcherOptions
+      )
+      if (process.env.NODE_ENV !== 'production') {
+        vm._computedStats[key] = { evaluations: 0, cacheHits: 0 }
+      }
+    }
+
+    // component-defined computed properties are already defined on the
+    // component prototype. We only need to define computed properties defined
+    // at instantiation here.
+    if (!(key in vm)) {
+      defineComputed(vm, key, userDef)
+    } else if (process.env.NODE_ENV !== 'production') {
+      if (key in vm.$data) {
+        warn(
+          `The computed property "${key}" is already defined in data.`,
+          vm,
+          WarningIds.COMPUTED_CONFLICT,
+          { key, conflict: 'data' }
+        )
+      } else if (vm.$options.props && key in vm.$options.props) {
+        warn(
+          `The computed property "${key}" is already defined as a prop.`,
+          vm,
+          WarningIds.COMPUTED_CONFLICT,
+          { key, conflict: 'prop' }
+        )
+      } else if (vm.$options.methods && key in vm.$options.methods) {
+        warn(
+          `The computed property "${key}" is already defined as a method.`,
+          vm,
+          WarningIds.COMPUTED_CONFLICT,
+          { key, conflict: 'method' }
+        )
+      }
+    }
+  }
+}
+
+export function defineComputed (
+  target: any,
+  key: string,
+  userDef: Object | Function
+) {
+  const shouldCache = !isServerRendering()
+  if (typeof userDef === 'function') {
+    sharedPropertyDefinition.get = shouldCache
+      ? createComputedGetter(key)
+      : createGetterInvoker(userDef)
+    sharedPropertyDefinition.set = noop
+  } else {
+    sharedPropertyDefinition.get = userDef.get
+      ? shouldCache && userDef.cache !== false
+        ? createComputedGetter(key)
+        : createGetterInvoker(userDef.get)
+      : noop
+    sharedPropertyDefinition.set = typeof userDef.set === 'function'
+      ? userDef.set
+      : noop
+  }
+  if (process.env.NODE_ENV !== 'production' &&
+      sharedPropertyDefinition.set === noop) {
+    sharedPropertyDefinition.set = function () {
+      warn(
+        `Computed property "${key}" was assigned to but it has no setter.`,
+        this,
+        WarningIds.COMPUTED_NO_SETTER,
+        { key }
+      )
+    }
+  }
+  Object.defineProperty(target, key, sharedPropertyDefinition)
+}
+
+function createComputedGetter (key) {
+  return function computedGetter () {
+    const watcher = this._computedWatchers && this._computedWatchers[key]
+    if (watcher) {
+      if (process.env.NODE_ENV !== 'production') {
+        const stats = this._computedStats[key]
+        if (watcher.dirty) {
+          stats.evaluations++
+        } else {
+          stats.cacheHits++
+        }
+      }
+      if (watcher.dirty) {
+        watcher.evaluate()
+      }
+      if (Dep.target) {
+        watcher.depend()
+      }
+      return watcher.value
+    }
+  }
+}
+
+function createGetterInvoker(fn) {
+  return function computedGetter () {
+    return fn.call(this, this)
+  }
+}
+
+function initMethods (vm: Component, methods: Object) {
+  const props = vm.$options.props
+  for (const key in methods) {
+    if (process.env.NODE_ENV !== 'production') {
+      if (typeof methods[key] !== 'function') {
+        warn(
+          `Method "${key}" has type "${typeof methods[key]}" in the component definition. ` +
+          `Did you reference the function correctly?`,
+          vm,
+          WarningIds.METHOD_INVALID_TYPE,
+          { key, type: typeof methods[key] }
+        )
+      }
+      if (props && hasOwn(props, key)) {
+        warn(
+          `Method "${key}" has already been defined as a prop.`,
+          vm,
+          WarningIds.METHOD_PROP_CONFLICT,
+          { key }
+        )
+      }
+      if ((key in vm) && isReserved(key)) {
+        warn(
+          `Method "${key}" conflicts with an existing Vue instance method. ` +
+          `Avoid defining component methods that start with _ or $.`,
+          vm,
+          WarningIds.METHOD_RESERVED_NAME,
+          { key }
+        )
+      }
+    }
+    vm[key] = typeof methods[key] !== 'function' ? noop : bind(methods[key], vm)
+  }
+}
+
+function initWatch (vm: Component, watch: Object) {
+  for (const key in watch) {
+    const handler = watch[key]
+    if (Array.isArray(handler)) {
+      for (let i = 0; i < handler.length; i++) {
+        createWatcher(vm, key, handler[i])
+      }
+    } else {
+      createWatcher(vm, key, handler)
+    }
+  }
+}
+
+function createWatcher (
+  vm: Component,
+  expOrFn: string | Function | Array<any>,
+  handler: any,
+  options?: Object
+) {
+  if (isPlainObject(handler)) {
+    options = handler
+    handler = handler.handler
+    // the watch option can watch multiple sources at once, in which case
+    // the key is only a name and the sources are listed in the handler:
+    // watch: { position: { sources: ['x', 'y'], handler ([x, y]) {} } }
+    if (Array.isArray(options.sources)) {
+      expOrFn = options.sources
+    }
+  }
+  if (typeof handler === 'string') {
+    handler = vm[handler]
+  }
+  return vm.$watch(expOrFn, handler, options)
+}
+
+export function stateMixin (Vue: Class<Component>) {
+  // flow somehow has problems with directly declared definition object
+  // when using Object.defineProperty, so we have to procedurally build up
+  // the object here.
+  const dataDef = {}
+  dataDef.get = function () { return this._data }
+  const propsDef = {}
+  propsDef.get = function () { return this._props }
+  if (process.env.NODE_ENV !== 'production') {
+    dataDef.set = function () {
+      warn(
+        'Avoid replacing instance root $data. ' +
+        'Use nested data properties instead.',
+        this,
+        WarningIds.DATA_REPLACED
+      )
+    }
+    propsDef.set = function () {
+      warn(`$props is readonly.`, this, WarningIds.PROPS_READONLY)
+    }
+  }
+  Object.defineProperty(Vue.prototype, '$data', dataDef)
+  Object.defineProperty(Vue.prototype, '$props', propsDef)
+
+  Vue.prototype.$set = set
+  Vue.prototype.$delete = del
+
+  if (process.env.NODE_ENV !== 'production') {
+    /**
+     * Inspect a cached computed property: whether it is dirty,
+     * the keys it depends on and how often it was re-evaluated
+     * versus served from the cache. Development only.
+     *
+     * 查看计算属性的调试信息：是否需要重新求值、依赖了哪些属性、
+     * 求值次数以及命中缓存的次数，只在开发环境下可用
+     * deps中key为undefined的项表示依赖的是对象本身（新增属性、数组变更等）
+     */
+    Vue.prototype.$computedInfo = function (name: string): ?Object {
+      const vm: Component = this
+      const watcher = vm._computedWatchers && vm._computedWatchers[name]
+      if (!watcher) {
+        warn(
+          `"${name}" is not a cached computed property.`,
+          vm,
+          WarningIds.COMPUTED_INFO_NOT_FOUND,
+          { key: name }
+        )
+        return
+      }
+      const stats = vm._computedStats[name]
+      return {
+        dirty: watcher.dirty,
+        deps: watcher.deps.map(dep => ({ target: dep.owner, key: dep.key })),
+        evaluations: stats.evaluations,
+        cacheHits: stats.cacheHits
+      }
+    }
+  }
+
+  Vue.prototype.$watch = function (
+    expOrFn: string | Function | Array<any>,
+    cb: any,
+    options?: Object
+  ): Function {
+    const vm: Component = this
+    if (isPlainObject(cb)) {
+      return createWatcher(vm, expOrFn, cb, options)
+    }
+    options = options || {}
+    options.user = true
+    const watcher = new Watcher(vm, expOrFn, cb, options)
+    if (options.immediate) {
+      const info = `callback for immediate watcher "${watcher.expression}"`
+      pushTarget()
+      // when watching multiple sources, old values are an empty array
+      const args = watcher.sources ? [watcher.value, []] : [watcher.value]
+      invokeWithErrorHandling(cb, vm, args, vm, info, ErrorCodes.WATCHER_CALLBACK)
+      popTarget()
+    }
+    return function unwatchFn () {
+      watcher.teardown()
+    }
+  }
+}
@@ -0,0 +1,124 @@
+/* @flow */
+
+import { def, warn, WarningIds } from '../util/index'
+
+type ObservableOptions = {
+  keys?: Array<string>;
+  methods?: Array<string>;
+};
+
+type ObservableAdapter = {
+  Ctor: Function;
+  keys: ?Array<string>;
+  methods: Array<string>;
+  protos: Map<Object, Object>; // 原型 => 拦截了变更方法的新原型
+};
+
+// 已注册的适配器，后注册的优先匹配
+const adapters: Array<ObservableAdapter> = []
+
+/**
+ * Register an adapter telling the observer how to observe instances
+ * of a class, which otherwise are left alone since only arrays and
+ * plain objects are observed:
+ * - keys: the fields to make reactive (all own enumerable keys by default)
+ * - methods: the mutating methods that should notify, like the
+ *   intercepted array methods (push, splice...)
+ *
+ * 注册一个适配器，告诉observer如何对某个类的实例进行响应式化
+ * 默认情况下只有数组和普通对象会被响应式化，类的实例会被忽略
+ * - keys：需要响应式化的字段（默认为实例自身的所有可枚举属性）
+ * - methods：会修改实例的方法，与数组的变更方法一样，调用后会对订阅者发起通知
+ */
+export function registerObservable (Ctor: Function, options?: ObservableOptions) {
+  options = options || {}
+  const methods = options.methods || []
+  if (process.env.NODE_ENV !== 'production') {
+    methods.forEach(method => {
+      if (typeof Ctor.prototype[method] !== 'function') {
+        warn(
+          `registerObservable: "${method}" is not a method of ` +
+          `${Ctor.name || 'the registered class'}.`,
+          undefined,
+          WarningIds.OBSERVABLE_METHOD_MISSING,
+          { method }
+        )
+      }
+    })
+  }
+  adapters.unshift({
+    Ctor,
+    keys: options.keys,
+    methods,
+    protos: new Map()
+  })
+}
+
+/**
+ * Find the adapter registered for a value, if any.
+ * 查找一个值对应的适配器
+ */
+export function getObservableAdapter (value: any): ObservableAdapter | void {
+  for (let i = 0; i < adapters.length; i++) {
+    if (value instanceof adapters[i].Ctor) {
+      return adapters[i]
+    }
+  }
+}
+
+/**
+ * Get the keys to make reactive. Elements of typed arrays cannot be
+ * redefined as getter/setters, so by default only their mutating
+ * methods (set, fill...) notify.
+ *
+ * 获取需要响应式化的字段
+ * 类型化数组（Float32Array等）的元素无法被重新定义为getter/setter，
+ * 因此默认不对其元素进行响应式化，只通过拦截的变更方法发起通知
+ */
+export function getAdapterKeys (adapter: ObservableAdapter, value: Object): Array<string> {
+  if (adapter.keys) {
+    return adapter.keys
+  }
+  return isTypedArray(value) ? [] : Object.keys(value)
+}
+
+function isTypedArray (value: any): boolean {
+  return typeof ArrayBuffer !== 'undefined' &&
+    ArrayBuffer.isView(value) &&
+    !(value instanceof DataView)
+}
+
+/**
+ * Get a prototype inheriting from the value's own prototype with the
+ * registered mutating methods intercepted. It is created per original
+ * prototype, so that instances of subclasses keep their own methods.
+ *
+ * 获取一个拦截了变更方法的原型，该原型继承自值原本的原型
+ * 按原本的原型分别创建并缓存，这样子类的实例不会丢失子类自己的方法
+ */
+export function getAdapterProto (adapter: ObservableAdapter, value: Object): Object {
+  const proto = Object.getPrototypeOf(value)
+  const cached = adapter.protos.get(proto)
+  if (cached) {
+    return cached
+  }
+  const augmented = Object.create(proto)
+  adapter.methods.forEach(method => {
+    const original = proto[method]
+    if (typeof original !== 'function') return
+    def(augmented, method, function mutator (...args) {
+      const result = original.apply(this, args)
+      const ob = this.__ob__
+      if (ob) {
+        if (process.env.NODE_ENV !== 'production') {
+          ob.dep.notify({ target: this, type: 'method', key: method })
+        } else {
+          ob.dep.notify()
+        }
+      }
+      return result
+    })
+  })
+  adapter.protos.set(proto, augmented)
+  return augmented
+}
@@ -43,10 +43,14 @@ methodsToPatch.forEach(function (method) {
         break
     }
     // 对新插入的元素执行响应式化
-    if (inserted) ob.observeArray(inserted)
+    if (inserted && !ob.shallow) ob.observeArray(inserted)
     // notify change
     // 对所有依赖发起通知
-    ob.dep.notify()
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({ target: this, type: 'array mutation', key: method })
+    } else {
+      ob.dep.notify()
+    }
     return result
   })
 })
@@ -0,0 +1,173 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map/Set prototype
+ */
+
+import Dep, { dependKey, notifyKey } from './dep'
+import { def, hasChanged } from '../util/index'
+
+// 与数组的处理方式类似：创建继承自Map/Set原型的对象，
+// 在其上定义拦截后的方法，随后替换响应式集合的原型
+// 老环境中可能不存在Map/Set，此时不导出任何拦截方法
+export const mapMethods = typeof Map !== 'undefined'
+  ? Object.create(Map.prototype)
+  : undefined
+export const setMethods = typeof Set !== 'undefined'
+  ? Object.create(Set.prototype)
+  : undefined
+
+// 遍历类的方法，只依赖集合整体（ob.dep），即“迭代依赖”
+const iterationMethods = ['forEach', 'keys', 'values', 'entries']
+if (typeof Symbol !== 'undefined') {
+  iterationMethods.push(Symbol.iterator)
+}
+
+/**
+ * Depend on the dep of an entry, or on the iteration dep of the
+ * collection when no key is given. Debug info for onTrack is only
+ * built in development.
+ *
+ * 订阅某个key的dep，未传入key时订阅整个集合的“迭代依赖”
+ */
+function track (ob, type, key) {
+  const info = process.env.NODE_ENV !== 'production'
+    ? { target: ob.value, type, key }
+    : undefined
+  if (type === 'iterate') {
+    ob.dep.depend(info)
+  } else {
+    dependKey(ob.keyDeps, key, info)
+  }
+}
+
+/**
+ * Notify the dep of an entry, as well as the iteration dep
+ * of the collection itself.
+ *
+ * 通知某个key的订阅者，同时通知整个集合的订阅者
+ * （forEach、size、迭代器等都依赖集合整体）
+ */
+function trigger (ob, type, key, newValue, oldValue) {
+  const info = process.env.NODE_ENV !== 'production'
+    ? { target: ob.value, type, key, newValue, oldValue }
+    : undefined
+  notifyKey(ob.keyDeps, key, info)
+  ob.dep.notify(info)
+}
+
+/**
+ * Intercept methods shared by Map and Set: has, delete,
+ * clear, iteration methods and the size getter.
+ * 拦截Map和Set共有的方法
+ */
+function instrumentCommon (proto, methods) {
+  const originalHas = proto.has
+  const getSize = Object.getOwnPropertyDescriptor(proto, 'size').get
+
+  def(methods, 'has', function has (key) {
+    track(this.__ob__, 'has', key)
+    return originalHas.call(this, key)
+  })
+
+  const originalDelete = proto.delete
+  def(methods, 'delete', function (key) {
+    const result = originalDelete.call(this, key)
+    // 只有确实删除了元素，才发起通知
+    if (result) trigger(this.__ob__, 'delete', key)
+    return result
+  })
+
+  const originalClear = proto.clear
+  def(methods, 'clear', function clear () {
+    const ob = this.__ob__
+    const hadItems = getSize.call(this) !== 0
+    const result = originalClear.call(this)
+    if (hadItems) {
+      // 清空集合会影响所有的key
+      const info = process.env.NODE_ENV !== 'production'
+        ? { target: this, type: 'clear' }
+        : undefined
+      ob.keyDeps.forEach(dep => dep.notify(info))
+      ob.dep.notify(info)
+    }
+    return result
+  })
+
+  iterationMethods.forEach(method => {
+    const original = proto[method]
+    def(methods, method, function iterationMethod (...args) {
+      track(this.__ob__, 'iterate')
+      return original.apply(this, args)
+    })
+  })
+
+  // size是原型上的访问器属性，需要以getter的形式拦截
+  Object.defineProperty(methods, 'size', {
+    enumerable: false,
+    configurable: true,
+    get: function size () {
+      track(this.__ob__, 'iterate')
+      return getSize.call(this)
+    }
+  })
+}
+
+/**
+ * Intercept mutating and reading methods of Map and emit events
+ * 对Map原型上的方法进行拦截：
+ * get/has 订阅对应key的dep，set/delete/clear 通知对应key的dep
+ * 此外，通过set放入的对象值会被响应式化
+ */
+if (mapMethods) {
+  const mapProto = Map.prototype
+  instrumentCommon(mapProto, mapMethods)
+
+  const originalGet = mapProto.get
+  def(mapMethods, 'get', function get (key) {
+    track(this.__ob__, 'get', key)
+    const value = originalGet.call(this, key)
+    // 与defineReactive的getter一致，值本身是响应式对象时
+    // 订阅者还需要订阅该对象的ob中的dep
+    if (Dep.target && value && value.__ob__) {
+      value.__ob__.dep.depend()
+    }
+    return value
+  })
+
+  const originalHas = mapProto.has
+  const originalSet = mapProto.set
+  def(mapMethods, 'set', function set (key, value) {
+    const hadKey = originalHas.call(this, key)
+    const oldValue = originalGet.call(this, key)
+    const result = originalSet.call(this, key, value)
+    if (!hadKey || hasChanged(value, oldValue)) {
+      const ob = this.__ob__
+      // 对新放入的值执行响应式化
+      if (!ob.shallow) ob.observeArray([value])
+      trigger(ob, hadKey ? 'set' : 'add', key, value, oldValue)
+    }
+    return result
+  })
+}
+
+/**
+ * Intercept mutating and reading methods of Set and emit events
+ * 对Set原型上的方法进行拦截，Set中的元素本身就是key
+ */
+if (setMethods) {
+  const setProto = Set.prototype
+  instrumentCommon(setProto, setMethods)
+
+  const originalHas = setProto.has
+  const originalAdd = setProto.add
+  def(setMethods, 'add', function add (value) {
+    const hadValue = originalHas.call(this, value)
+    const result = originalAdd.call(this, value)
+    if (!hadValue) {
+      const ob = this.__ob__
+      if (!ob.shallow) ob.observeArray([value])
+      trigger(ob, 'add', value, value)
+    }
+    return result
+  })
+}
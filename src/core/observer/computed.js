@@ -0,0 +1,103 @@
+/* @flow */
+
+import Watcher from './watcher'
+import Dep from './dep'
+import { warn, noop, WarningIds } from '../util/index'
+
+/**
+ * A computed value that can be passed around, created with
+ * Vue.computed(). Provided to descendants (provide() { return {
+ * theme: Vue.computed(() => this.theme) } }) it keeps the injected
+ * bindings in sync with the provider.
+ *
+ * The ref is bound to the component that provides it: the lazy watcher
+ * caching its value is created on that component and torn down with
+ * it. A ref shared by several providers (in a static provide object,
+ * shared by all the instances, or returned by several provide()
+ * calls) is copied for each of them. An unbound ref evaluates its
+ * getter on every access.
+ *
+ * 可以被传递的计算值，通过Vue.computed()创建
+ * 在provide中提供时，后代组件注入的值会随提供者的状态同步更新
+ * 计算值会与提供它的组件绑定：缓存计算结果的lazy watcher创建在该组件上，并随组件一起销毁
+ * 被多个组件提供的计算值（静态的provide对象被所有实例共享，或者多次调用provide()返回同一个计算值）
+ * 会为每个组件单独复制一份
+ * 没有绑定组件时，每次访问都会重新执行getter
+ */
+export class ComputedRef {
+  getter: Function;
+  setter: ?Function;
+  effect: ?Watcher;
+
+  constructor (getter: Function, setter: ?Function) {
+    this.getter = getter
+    this.setter = setter
+    this.effect = null
+  }
+
+  get value (): any {
+    const watcher = this.effect
+    if (!watcher) {
+      const getter = this.getter
+      return getter()
+    }
+    if (watcher.dirty) {
+      watcher.evaluate()
+    }
+    if (Dep.target) {
+      watcher.depend()
+    }
+    return watcher.value
+  }
+
+  set value (newVal: any) {
+    if (this.setter) {
+      this.setter(newVal)
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(
+        `Write operation failed: computed value is readonly.`,
+        undefined,
+        WarningIds.COMPUTED_NO_SETTER
+      )
+    }
+  }
+}
+
+export function computed (
+  getterOrOptions: Function | { get: Function, set?: Function }
+): ComputedRef {
+  return typeof getterOrOptions === 'function'
+    ? new ComputedRef(getterOrOptions)
+    : new ComputedRef(getterOrOptions.get, getterOrOptions.set)
+}
+
+export function isComputedRef (value: any): boolean {
+  return value instanceof ComputedRef
+}
+
+/**
+ * Bind a ref to a component, unless it is bound already.
+ * 将计算值绑定到组件上，已经绑定过的计算值保持不变
+ */
+export function bindComputedRef (ref: ComputedRef, vm: Component) {
+  if (!ref.effect) {
+    ref.effect = new Watcher(vm, ref.getter, noop, { lazy: true })
+  }
+}
+
+/**
+ * Bind a ref provided by a component, copying it when it is shared
+ * with other providers. Returns the ref to provide.
+ * 绑定组件提供的计算值，与其他组件共享时先复制一份，返回实际提供的计算值
+ */
+export function provideComputedRef (
+  ref: ComputedRef,
+  vm: Component,
+  shared: boolean
+): ComputedRef {
+  if (shared || (ref.effect && ref.effect.vm !== vm)) {
+    ref = new ComputedRef(ref.getter, ref.setter)
+  }
+  bindComputedRef(ref, vm)
+  return ref
+}
@@ -1,11 +1,51 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { warn, remove, extend, WarningIds, getComponentName } from '../util/index'
 import config from '../config'
 
+// not part of the flow version in use
+declare var WeakRef: any;
+declare var FinalizationRegistry: any;
+
 let uid = 0
 
+// dev only: weak references to the deps that currently have subscribers,
+// audited by findLeaks(). A reference is added when a dep gets its first
+// subscriber and deleted when its last one is removed, or when the dep
+// is garbage collected: the audit never keeps a dep (or its subscribers)
+// alive. Not available where WeakRef/FinalizationRegistry aren't.
+// 开发环境下记录当前有订阅者的dep的弱引用，供findLeaks检查
+// 最后一个订阅者被移除、或者dep被垃圾回收时，对应的弱引用会被删除，因此不会阻止dep及其订阅者被回收
+// 不支持WeakRef/FinalizationRegistry的环境中不做记录
+const subscribedDeps: ?Set<any> =
+  process.env.NODE_ENV !== 'production' &&
+  typeof WeakRef !== 'undefined' &&
+  typeof FinalizationRegistry !== 'undefined'
+    ? new Set()
+    : null
+const depRegistry: any = subscribedDeps
+  ? new FinalizationRegistry(ref => (subscribedDeps: any).delete(ref))
+  : null
+
+/**
+ * Extra info passed to dep.depend() / dep.notify() in development
+ * builds, delivered to the onTrack / onTrigger watcher options.
+ * type is one of: 'get', 'has', 'iterate' (tracking) or 'set', 'add',
+ * 'delete', 'clear', 'array mutation', 'method' (triggering).
+ */
+export type DebuggerEventExtraInfo = {
+  target: any;
+  type: string;
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+}
+
+export type DebuggerEvent = {
+  effect: Watcher;
+} & DebuggerEventExtraInfo
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -18,33 +58,69 @@ export default class Dep {
   static target: ?Watcher;
   id: number;
   subs: Array<Watcher>;
+  // 开发环境下记录该dep所属的对象和属性名，用于调试（如vm.$computedInfo）
+  // key为undefined时，表示该dep是对象自身的dep（ob.dep）
+  owner: any;
+  key: any;
+  ref: any; // 开发环境下，有订阅者时在subscribedDeps中的弱引用
 
-  constructor () {
+  constructor (owner?: any, key?: any) {
     this.id = uid++
     this.subs = []
+    if (process.env.NODE_ENV !== 'production') {
+      this.owner = owner
+      this.key = key
+      this.ref = null
+    }
   }
 
   addSub (sub: Watcher) {
     this.subs.push(sub)
+    if (process.env.NODE_ENV !== 'production' && subscribedDeps && !this.ref) {
+      const ref = this.ref = new WeakRef(this)
+      subscribedDeps.add(ref)
+      depRegistry.register(this, ref, ref)
+    }
   }
 
   removeSub (sub: Watcher) {
     remove(this.subs, sub)
+    if (process.env.NODE_ENV !== 'production' && subscribedDeps && this.ref && !this.subs.length) {
+      subscribedDeps.delete(this.ref)
+      depRegistry.unregister(this.ref)
+      this.ref = null
+    }
   }
 
   // 使一个观察者订阅自己
-  depend () {
-    if (Dep.target) {
-      Dep.target.addDep(this)
+  // 开发环境下，如果传入了调试信息，那么通知订阅者的onTrack钩子
+  depend (info?: DebuggerEventExtraInfo) {
+    const target = Dep.target
+    if (target) {
+      target.addDep(this)
+      if (process.env.NODE_ENV !== 'production' && info) {
+        const onTrack = target.onTrack
+        if (onTrack) {
+          onTrack.call(target, extend({ effect: target }, info))
+        }
+      }
     }
   }
 
   // 对Dep中收集的所有观察者发起通知（执行update）
-  notify () {
+  // 开发环境下，如果传入了调试信息，那么在通知前先调用订阅者的onTrigger钩子
+  notify (info?: DebuggerEventExtraInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      if (process.env.NODE_ENV !== 'production' && info) {
+        const sub = subs[i]
+        const onTrigger = sub.onTrigger
+        if (onTrigger) {
+          onTrigger.call(sub, extend({ effect: sub }, info))
+        }
+      }
+      subs[i].update(info)
     }
   }
 }
@@ -64,3 +140,96 @@ export function popTarget () {
   targetStack.pop()
   Dep.target = targetStack[targetStack.length - 1]
 }
+
+/**
+ * Depend on / notify the dep of a single key. Used where keys
+ * are not converted into getter/setters (Map/Set, proxies), so
+ * the deps live in a per-observer map instead of closures.
+ * Deps are created lazily, only when there is a watcher being
+ * evaluated, so reading unknown keys doesn't grow the map.
+ *
+ * 订阅/通知某个key对应的dep
+ * 集合和proxy无法像defineReactive那样把dep放在闭包里，
+ * 因此将每个key的dep存放在observer的keyDeps中
+ */
+export function dependKey (
+  deps: Map<any, Dep>,
+  key: any,
+  info?: DebuggerEventExtraInfo
+) {
+  if (Dep.target) {
+    let dep = deps.get(key)
+    if (!dep) {
+      dep = new Dep(info && info.target, key)
+      deps.set(key, dep)
+    }
+    dep.depend(info)
+  }
+}
+
+export function notifyKey (
+  deps: Map<any, Dep>,
+  key: any,
+  info?: DebuggerEventExtraInfo
+) {
+  const dep = deps.get(key)
+  if (dep) dep.notify(info)
+}
+
+export type LeakReport = {
+  target: any;
+  key: any;
+  watcher: Watcher;
+  reason: 'destroyed' | 'inactive';
+  component: string | null;
+  expression: string;
+};
+
+/**
+ * Dev only: find the subscribers still referenced by a dep although they
+ * should have been released, i.e. watchers that have been torn down
+ * (e.g. an inactive computed re-evaluated after its component was
+ * destroyed) or that belong to a destroyed component. Each report names
+ * the object and key still holding the watcher; `key` is undefined for
+ * the dep of the object itself (added/deleted keys, array mutations).
+ * Requires WeakRef and FinalizationRegistry.
+ *
+ * 开发环境下，查找已经应该被释放、却仍被dep引用的订阅者，即：
+ * - 已经被销毁（active为false）的watcher，例如组件销毁后又被访问的计算属性
+ * - 所属组件已经被销毁的watcher，例如在全局状态上创建却没有随组件销毁的watcher
+ * 返回的每一项记录了仍引用该watcher的对象和属性名，key为undefined时表示对象自身的dep
+ * 需要环境支持WeakRef和FinalizationRegistry
+ */
+export function findLeaks (): Array<LeakReport> {
+  const leaks = []
+  if (process.env.NODE_ENV !== 'production' && subscribedDeps) {
+    subscribedDeps.forEach(ref => {
+      const dep: ?Dep = ref.deref()
+      if (!dep) return
+      for (let i = 0; i < dep.subs.length; i++) {
+        const watcher = dep.subs[i]
+        const vm = watcher.vm
+        const reason = !watcher.active
+          ? 'inactive'
+          : vm && vm._isDestroyed ? 'destroyed' : null
+        if (reason) {
+          leaks.push({
+            target: dep.owner,
+            key: dep.key,
+            watcher,
+            reason,
+            component: vm ? getComponentName(vm) : null,
+            expression: watcher.expression
+          })
+        }
+      }
+    })
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `Vue.debug.findLeaks() requires WeakRef and FinalizationRegistry support.`,
+      undefined,
+      WarningIds.FIND_LEAKS_UNSUPPORTED
+    )
+  }
+  return leaks
+}
@@ -0,0 +1,149 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn, remove, WarningIds } from '../util/index'
+
+// 当前处于激活状态的作用域，在此期间创建的watcher都会被收集到该作用域中
+export let activeEffectScope: EffectScope | void
+
+/**
+ * An effect scope collects the watchers created while it is
+ * active, so that they can be disposed together. Scopes nest:
+ * stopping a scope also stops every non-detached scope created
+ * inside of it.
+ *
+ * 作用域用于收集其激活期间创建的所有watcher，以便统一销毁
+ * 作用域可以嵌套，停止一个作用域时，会一并停止其内部创建的子作用域
+ */
+export class EffectScope {
+  active: boolean;
+  effects: Array<Watcher>;
+  cleanups: Array<() => void>;
+  parent: EffectScope | void;
+  scopes: ?Array<EffectScope>; // 非独立的子作用域
+  index: number | void; // 在父作用域的scopes中的位置，用于快速移除
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.effects = []
+    this.cleanups = []
+    this.scopes = null
+    this.parent = activeEffectScope
+    if (!detached && activeEffectScope) {
+      this.index = (activeEffectScope.scopes || (activeEffectScope.scopes = [])).push(this) - 1
+    }
+  }
+
+  /**
+   * Run a function with this scope active, so that every
+   * watcher created inside of it is collected.
+   * 激活当前作用域并执行函数，函数执行期间创建的watcher都会被收集
+   */
+  run<T> (fn: () => T): T | void {
+    if (this.active) {
+      const currentEffectScope = activeEffectScope
+      try {
+        activeEffectScope = this
+        return fn()
+      } finally {
+        activeEffectScope = currentEffectScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(`cannot run an inactive effect scope.`, undefined, WarningIds.SCOPE_INACTIVE)
+    }
+  }
+
+  /**
+   * Teardown every collected watcher, run the registered
+   * cleanups and stop the child scopes.
+   * 销毁所有收集到的watcher，执行清理回调，并停止所有子作用域
+   */
+  stop (fromParent?: boolean) {
+    if (this.active) {
+      // 先标记为停止，销毁watcher时就不会再逐个从effects中移除
+      this.active = false
+      let i, l
+      for (i = 0, l = this.effects.length; i < l; i++) {
+        this.effects[i].teardown()
+      }
+      for (i = 0, l = this.cleanups.length; i < l; i++) {
+        this.cleanups[i]()
+      }
+      // 已停止的作用域不再持有销毁的watcher和清理函数
+      this.effects.length = 0
+      this.cleanups.length = 0
+      if (this.scopes) {
+        for (i = 0, l = this.scopes.length; i < l; i++) {
+          this.scopes[i].stop(true)
+        }
+      }
+      // nested scope, dereference from parent to avoid memory leaks
+      // 父作用域停止时会整体丢弃scopes，只有单独停止子作用域时才需要从父作用域中移除
+      const siblings = this.parent && this.parent.scopes
+      if (!fromParent && siblings && this.index !== undefined) {
+        // optimized O(1) removal
+        const last = siblings.pop()
+        if (last && last !== this) {
+          siblings[(this.index: any)] = last
+          last.index = this.index
+        }
+      }
+      this.parent = undefined
+    }
+  }
+}
+
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+/**
+ * Collect a watcher into a scope.
+ * 将watcher收集到作用域中
+ */
+export function recordEffectScope (effect: Watcher, scope: ?EffectScope) {
+  if (scope && scope.active) {
+    scope.effects.push(effect)
+    const scopes = effect.scopes || (effect.scopes = [])
+    scopes.push(scope)
+  }
+}
+
+/**
+ * Remove a watcher torn down on its own from the scopes it was
+ * collected into, so that they don't keep it alive.
+ * 单独销毁的watcher需要从收集它的作用域中移除，避免作用域一直持有已销毁的watcher
+ * 已停止的作用域会整体丢弃effects，不需要逐个移除
+ */
+export function removeEffect (effect: Watcher) {
+  const scopes = effect.scopes
+  if (scopes) {
+    for (let i = 0; i < scopes.length; i++) {
+      if (scopes[i].active) {
+        remove(scopes[i].effects, effect)
+      }
+    }
+    effect.scopes = null
+  }
+}
+
+export function getCurrentScope (): EffectScope | void {
+  return activeEffectScope
+}
+
+/**
+ * Register a callback to be called when the active scope stops.
+ * 注册一个回调，在当前激活的作用域停止时执行
+ */
+export function onScopeDispose (fn: () => void) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `onScopeDispose() is called when there is no active effect scope` +
+      ` to be associated with.`,
+      undefined,
+      WarningIds.SCOPE_DISPOSE_NO_ACTIVE
+    )
+  }
+}
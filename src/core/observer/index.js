@@ -1,12 +1,18 @@
 /* @flow */
 
 import Dep from './dep'
+import config from '../config'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { mapMethods, setMethods } from './collection'
+import { hasProxy, createReactiveProxy, toRaw } from './proxy'
+import { isReadonly, warnReadonly } from './readonly'
+import { getObservableAdapter, getAdapterKeys, getAdapterProto } from './adapter'
 import {
   def,
   hasOwn,
   hasProto,
+  isMap,
   isObject,
   isPlainObject,
   isValidArrayIndex,
@@ -15,6 +21,9 @@ import {
 
 const arrayKeys = Object.getOwnPropertyNames(arrayMethods)
 
+// 传给defineReactive，表示没有传入初始值，需要在defineReactive中读取属性的值
+const NO_INITIAL_VALUE = {}
+
 /**
  * In some cases we may want to disable observation inside a component's
  * update computation.
@@ -39,13 +48,41 @@ export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that have this object as root $data
+  keyDeps: ?Map<any, Dep>; // per-key deps of a Map/Set or proxy
+  proxy: any; // reactive proxy of the value in 'proxy' reactivity mode
+  shallow: boolean; // only top-level keys are reactive
 
-  constructor (value: any) {
+  constructor (value: any, shallow?: boolean) {
     this.value = value
-    this.dep = new Dep() // 响应式对象的ob中也有一个dep，可以收集订阅者
+    this.shallow = !!shallow
+    this.dep = new Dep(value) // 响应式对象的ob中也有一个dep，可以收集订阅者
     this.vmCount = 0
+    this.keyDeps = null
+    this.proxy = null
     def(value, '__ob__', this)
-    if (Array.isArray(value)) { // 对数组和对象做不同的处理
+    // 注意isPlainObject对类的实例同样返回true，因此需要优先匹配适配器
+    const adapter = Array.isArray(value) ? undefined : getObservableAdapter(value)
+    if (isCollection(value)) {
+      // 对于Map和Set，通过替换原型来拦截集合的原生方法
+      // 支持Map/Set的环境一定支持__proto__，因此不需要copyAugment
+      // 集合的每个key单独对应一个dep，ob.dep则作为集合整体的“迭代依赖”
+      this.keyDeps = new Map()
+      protoAugment(value, isMap(value) ? mapMethods : setMethods)
+      // 对集合中的所有对象值进行响应式化
+      if (!this.shallow) this.observeCollection(value)
+    } else if (adapter) {
+      // 对于通过registerObservable注册过的类的实例，
+      // 拦截其声明的变更方法，并对声明的字段进行响应式化
+      if (adapter.methods.length) {
+        protoAugment(value, getAdapterProto(adapter, value))
+      }
+      this.walk(value, getAdapterKeys(adapter, value))
+    } else if (config.reactivityMode === 'proxy' && hasProxy) {
+      // proxy模式下，对象和数组都通过Proxy拦截，不需要遍历属性、替换原型
+      // 嵌套的对象在被访问到的时候才会响应式化
+      this.keyDeps = new Map()
+      this.proxy = createReactiveProxy(value, this)
+    } else if (Array.isArray(value)) { // 对数组和对象做不同的处理
       // 对于数组，如果当前环境支持原型链，就通过替换原型来拦截数组原生方法
       // 如果不支持原型链，就通过直接在数组上定义方法的方式拦截数组原生方法
       if (hasProto) {
@@ -54,7 +91,7 @@ export class Observer {
         copyAugment(value, arrayMethods, arrayKeys)
       }
       // 遍历数组的所有元素，并对其中的对象元素进行响应式化
-      this.observeArray(value)
+      if (!this.shallow) this.observeArray(value)
     } else {
       // 对于对象，递归遍历所有属性
       // 对所有属性进行响应式化
@@ -67,12 +104,13 @@ export class Observer {
    * getter/setters. This method should only be called when
    * value type is Object.
    *
-   * 遍历一个对象的所有属性，通过defineReactive对该属性进行响应式化
+   * 遍历一个对象的所有属性（或指定的属性），通过defineReactive对该属性进行响应式化
    */
-  walk (obj: Object) {
-    const keys = Object.keys(obj)
+  walk (obj: Object, keys?: ?Array<string>) {
+    keys = keys || Object.keys(obj)
     for (let i = 0; i < keys.length; i++) {
-      defineReactive(obj, keys[i])
+      // shallow模式下，只对顶层属性进行响应式化
+      defineReactive(obj, keys[i], NO_INITIAL_VALUE, null, this.shallow)
     }
   }
 
@@ -85,10 +123,33 @@ export class Observer {
       observe(items[i])
     }
   }
+
+  /**
+   * Observe the values of a Map or the members of a Set.
+   * 对Map的值或Set的元素中的对象进行响应式化
+   */
+  observeCollection (collection: Map<any, any> | Set<any>) {
+    collection.forEach(value => {
+      observe(value)
+    })
+  }
 }
 
 // helpers
 
+/**
+ * Check if a value is a Map or Set that can be observed. Instances of
+ * subclasses are left alone: replacing their prototype would drop the
+ * methods of the subclass.
+ * 判断一个值是否是可以响应式化的Map或Set
+ * 子类的实例不做响应式化，替换原型会丢失子类上定义的方法
+ */
+function isCollection (value: any): boolean {
+  const proto = Object.getPrototypeOf(value)
+  return (!!mapMethods && proto === Map.prototype) ||
+    (!!setMethods && proto === Set.prototype)
+}
+
 /**
  * Augment a target Object or Array by intercepting
  * the prototype chain using __proto__
@@ -120,7 +181,11 @@ function copyAugment (target: Object, src: Object, keys: Array<string>) {
  * 对一个值进行响应式化，成功时返回新的observer
  * 如果已经响应式化过了，直接返回旧的
  */
-export function observe (value: any, asRootData: ?boolean): Observer | void {
+export function observe (
+  value: any,
+  asRootData: ?boolean,
+  shallow?: boolean
+): Observer | void {
   // 这个函数只处理对象和vnode，其他情况直接返回
   if (!isObject(value) || value instanceof VNode) {
     return
@@ -132,12 +197,18 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (
+      Array.isArray(value) ||
+      isPlainObject(value) ||
+      isCollection(value) ||
+      getObservableAdapter(value)
+    ) &&
     Object.isExtensible(value) &&
-    !value._isVue
+    !value._isVue &&
+    !value.__v_skip // 通过markRaw标记的对象不做响应式化
   ) {
     // 没有响应式化过，就响应式化一次
-    ob = new Observer(value)
+    ob = new Observer(value, shallow)
   }
   if (asRootData && ob) {
     ob.vmCount++
@@ -145,6 +216,34 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   return ob
 }
 
+/**
+ * Observe a value and return the reference that should be
+ * exposed to user code: the reactive proxy in 'proxy'
+ * reactivity mode, or the value itself otherwise.
+ * 对一个值进行响应式化，并返回应当暴露给用户的引用
+ * proxy模式下返回proxy，否则返回值本身
+ */
+export function toReactive<T> (
+  value: T,
+  asRootData: ?boolean,
+  shallow?: boolean
+): T {
+  const ob = observe(value, asRootData, shallow)
+  return ob && ob.proxy ? ob.proxy : value
+}
+
+/**
+ * Mark an object so that it will never be observed, e.g. large
+ * immutable datasets or third-party class instances.
+ * 标记一个对象，使其永远不会被响应式化，也不会被deep watcher遍历
+ */
+export function markRaw<T: Object> (value: T): T {
+  if (isObject(value) && Object.isExtensible(value)) {
+    def(value, '__v_skip', true)
+  }
+  return value
+}
+
 /**
  * Define a reactive property on an Object.
  * 对对象上的单个属性进行响应式化
@@ -163,7 +262,7 @@ export function defineReactive (
 ) {
   // 在方法闭包中创建一个Dep
   // 用于收集该属性的所有订阅者
-  const dep = new Dep()
+  const dep = new Dep(obj, key)
 
   // 不可配置的属性不能响应式化，返回
   const property = Object.getOwnPropertyDescriptor(obj, key)
@@ -175,10 +274,10 @@ export function defineReactive (
   const getter = property && property.get
   const setter = property && property.set
   // 有getter没setter，说明这是一个只读的访问器属性（Accessor Property）
-  if ((!getter || setter) && arguments.length === 2) {
+  if (val === NO_INITIAL_VALUE || arguments.length === 2) {
     // 如果不是只读的访问器属性，并且调用的时候没有传递值进来，
     // 那么，获取一下当前属性的值
-    val = obj[key]
+    val = !getter || setter ? obj[key] : undefined
   }
 
   let childOb = !shallow && observe(val) // 如果值是对象，那么这个对象也需要被响应式化
@@ -199,7 +298,11 @@ export function defineReactive (
       // 3.如果当前属性是个数组，那么订阅者还需要收集到数组中所有响应对象元素的ob的dep中
       if (Dep.target) {
       // 将订阅者塞到当前闭包里的dep中
-        dep.depend() 
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({ target: obj, type: 'get', key })
+        } else {
+          dep.depend()
+        }
         if (childOb) {
           // 将订阅者塞到响应式对象的ob的dep中
           childOb.dep.depend()
@@ -213,9 +316,11 @@ export function defineReactive (
           }
         }
       }
-      return value
+      // proxy模式下，对象值需要以proxy的形式返回
+      return childOb && childOb.proxy ? childOb.proxy : value
     },
     set: function reactiveSetter (newVal) {
+      newVal = toRaw(newVal) // 如果传入的是proxy，那么存储其背后的原始对象
       // 如果这个属性本身是有getter的，把旧的getter先执行下,取一下最新的值
       const value = getter ? getter.call(obj) : val
       /* eslint-disable no-self-compare */
@@ -226,6 +331,10 @@ export function defineReactive (
       if (newVal === value || (newVal !== newVal && value !== value)) { 
         return // 如果值没有发生变化，就不用接着执行了
       }
+      /* eslint-enable no-self-compare */
+      if (process.env.NODE_ENV !== 'production' && customSetter) {
+        customSetter()
+      }
       // #7981: for accessor properties without setter
       // 没有setter只有getter的访问器属性，本质上只读的
       // 因此后面的逻辑就全都不用执行了
@@ -236,7 +345,12 @@ export function defineReactive (
         val = newVal
       }
       childOb = !shallow && observe(newVal) // 如果新值是一个对象，那么需要对其执行响应式化
-      dep.notify() // 由于属性的值发生了变化，对所有订阅者发出通知
+      // 由于属性的值发生了变化，对所有订阅者发出通知
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({ target: obj, type: 'set', key, newValue: newVal, oldValue: value })
+      } else {
+        dep.notify()
+      }
     }
   })
 }
@@ -249,6 +363,17 @@ export function defineReactive (
  * 在对象上响应式地添加新属性
  */
 export function set (target: Array<any> | Object, key: any, val: any): any {
+  if (isReadonly(target)) {
+    // 只读视图不允许修改
+    warnReadonly(key)
+    return val
+  }
+  const ob = (target: any).__ob__
+  if (ob && ob.proxy && !target._isVue && !ob.vmCount) {
+    // proxy模式下，直接通过proxy赋值就能触发通知
+    ob.proxy[key] = val
+    return val
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     // 为数组添加一个新的元素，走数组自己的api
     target.length = Math.max(target.length, key)
@@ -260,7 +385,6 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     target[key] = val
     return val
   }
-  const ob = (target: any).__ob__
   if (target._isVue || (ob && ob.vmCount)) {
     // 运行时不要往vue实例及其$data上设置属性
     // 直接返回不作处理
@@ -274,8 +398,12 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
 
   // 核心逻辑：
   // 对新增属性进行响应式化，并对对象的订阅者发起通知
-  defineReactive(ob.value, key, val)
-  ob.dep.notify()
+  defineReactive(ob.value, key, val, null, ob.shallow)
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'add', key, newValue: val })
+  } else {
+    ob.dep.notify()
+  }
   return val
 }
 
@@ -285,12 +413,22 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
  * 在对象上响应式地删除新属性
  */
 export function del (target: Array<any> | Object, key: any) {
+  if (isReadonly(target)) {
+    // 只读视图不允许修改
+    warnReadonly(key)
+    return
+  }
+  const ob = (target: any).__ob__
+  if (ob && ob.proxy && !target._isVue && !ob.vmCount) {
+    // proxy模式下，直接通过proxy删除就能触发通知
+    delete ob.proxy[key]
+    return
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     // 如果传进来是个数组，走数组自己的api
     target.splice(key, 1)
     return
   }
-  const ob = (target: any).__ob__
   if (target._isVue || (ob && ob.vmCount)) {
     // 不要通过这个函数来删除vue实例和其$data上的属性，而是应该设置为null
     // 遇到这种情况直接return
@@ -307,7 +445,11 @@ export function del (target: Array<any> | Object, key: any) {
   if (!ob) {
     return
   }
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'delete', key })
+  } else {
+    ob.dep.notify()
+  }
 }
 
 /**
@@ -0,0 +1,147 @@
+/* @flow */
+
+import { observe } from './index'
+import type { Observer } from './index'
+import { dependKey, notifyKey } from './dep'
+import {
+  hasOwn,
+  isNative,
+  isObject,
+  hasChanged,
+  isValidArrayIndex
+} from '../util/index'
+
+export const hasProxy =
+  typeof Proxy !== 'undefined' && isNative(Proxy)
+
+// Proxy拦截器收到的key只可能是字符串或symbol
+function isSymbolKey (key: any): boolean {
+  return typeof key !== 'string'
+}
+
+/**
+ * Create a Proxy that tracks every key read and notifies on
+ * every key write, addition and deletion of the target.
+ * Unlike defineReactive, no key is converted ahead of time, so
+ * adding a property or assigning an array index stays reactive
+ * without Vue.set/Vue.delete.
+ *
+ * 为对象/数组创建一个Proxy，在get/has中收集依赖，在set/deleteProperty中发起通知
+ * 与defineReactive不同，属性无需预先转为getter/setter，
+ * 因此新增属性、删除属性、按索引修改数组都可以被侦测到
+ *
+ * 依赖的存放方式：
+ * 1.每个key对应ob.keyDeps中的一个dep
+ * 2.ob.dep作为“结构依赖”，在新增/删除key（以及数组内容变化）时通知，
+ *   被Object.keys、for...in等遍历操作订阅
+ */
+export function createReactiveProxy (target: Object, ob: Observer): Object {
+  const keyDeps: Map<any, any> = (ob.keyDeps: any)
+  const isArray = Array.isArray(target)
+
+  // onTrack/onTrigger调试信息只在开发环境下创建
+  const debugInfo = (type, key, newValue, oldValue) => (
+    process.env.NODE_ENV !== 'production'
+      ? { target, type, key, newValue, oldValue }
+      : undefined
+  )
+  const track = (type, key) => dependKey(keyDeps, key, debugInfo(type, key))
+
+  return new Proxy(target, {
+    get (target, key, receiver) {
+      const res = Reflect.get(target, key, receiver)
+      if (isSymbolKey(key) || key === '__ob__' || key === '__proto__') {
+        return res
+      }
+      track('get', key)
+      // 浅响应式对象不对嵌套的对象进行响应式化
+      if (ob.shallow || !isObject(res)) {
+        return res
+      }
+      const childOb = observe(res)
+      if (!childOb) {
+        return res
+      }
+      // 与defineReactive的getter一致，值本身是响应式对象时
+      // 订阅者还需要订阅该对象的ob中的dep
+      childOb.dep.depend()
+      // non-configurable, non-writable data properties must return
+      // their actual value (Proxy invariant)
+      const property = Object.getOwnPropertyDescriptor(target, key)
+      if (property && !property.configurable && !property.writable) {
+        return res
+      }
+      return childOb.proxy || res
+    },
+
+    set (target, key, value, receiver) {
+      const hadKey = isArray && isValidArrayIndex(key)
+        ? Number(key) < target.length
+        : hasOwn(target, key)
+      const oldValue = target[key]
+      const oldLength = isArray ? target.length : 0
+      // 存入原始对象，而不是proxy，避免proxy被嵌套
+      const result = Reflect.set(target, key, toRaw(value), receiver)
+      // 通过原型链修改属性时，receiver不是当前proxy，不需要通知
+      if (receiver !== ob.proxy) {
+        return result
+      }
+      if (!hadKey) {
+        const info = debugInfo('add', key, value)
+        notifyKey(keyDeps, key, info)
+        if (isArray && target.length !== oldLength) {
+          // 按索引添加元素时，数组长度会被隐式修改
+          notifyKey(keyDeps, 'length', info)
+        }
+        ob.dep.notify(info)
+      } else if (hasChanged(toRaw(value), oldValue)) {
+        const info = debugInfo('set', key, value, oldValue)
+        if (isArray && key === 'length') {
+          // 缩短数组会删除超出新长度的元素
+          keyDeps.forEach((dep, k) => {
+            if (isValidArrayIndex(k) && Number(k) >= target.length) {
+              dep.notify(info)
+            }
+          })
+        }
+        notifyKey(keyDeps, key, info)
+        // 数组的任何变化都会影响遍历结果
+        if (isArray) ob.dep.notify(info)
+      }
+      return result
+    },
+
+    has (target, key) {
+      if (!isSymbolKey(key)) {
+        track('has', key)
+      }
+      return Reflect.has(target, key)
+    },
+
+    ownKeys (target) {
+      ob.dep.depend(debugInfo('iterate'))
+      return Reflect.ownKeys(target)
+    },
+
+    deleteProperty (target, key) {
+      const hadKey = hasOwn(target, key)
+      const result = Reflect.deleteProperty(target, key)
+      if (result && hadKey) {
+        const info = debugInfo('delete', key)
+        notifyKey(keyDeps, key, info)
+        ob.dep.notify(info)
+      }
+      return result
+    }
+  })
+}
+
+/**
+ * Return the raw object behind a reactive proxy.
+ * 获取proxy背后的原始对象
+ */
+export function toRaw (value: any): any {
+  const ob = isObject(value) ? value.__ob__ : undefined
+  return ob && ob.proxy ? ob.value : value
+}
+
@@ -0,0 +1,224 @@
+/* @flow */
+
+import Dep from './dep'
+import { observe } from './index'
+import { hasProxy, toRaw } from './proxy'
+import { arrayMethods } from './array'
+import {
+  def,
+  warn,
+  hasOwn,
+  WarningIds,
+  isMap,
+  isSet,
+  isObject,
+  isPlainObject
+} from '../util/index'
+
+// 只读视图 => 原始对象
+const viewToRaw: WeakMap<Object, Object> = new WeakMap()
+// 原始对象 => 只读视图，同一个对象多次调用readonly时返回同一个视图
+const readonlyViews: WeakMap<Object, Object> = new WeakMap()
+const shallowReadonlyViews: WeakMap<Object, Object> = new WeakMap()
+
+/**
+ * Return a readonly view of a value. The value itself is observed
+ * and left untouched: it stays writable and reactive, the view reads
+ * through it (so watchers reading the view track its changes) and
+ * rejects every write with a warning. Nested objects, Map and Set
+ * values read through the view are readonly views as well, unless
+ * shallow is passed.
+ *
+ * Without Proxy support only plain objects can be wrapped, and only
+ * the keys present when the view is created are exposed.
+ *
+ * 返回一个值的只读视图，值本身会被响应式化，但不会被修改：仍然可写、仍然是响应式的
+ * 视图的读取操作会转发给该值（因此通过视图读取的watcher也会订阅该值的变化），
+ * 写入操作则会发出警告并被忽略
+ * 除非传入shallow，否则通过视图读取到的嵌套对象、Map/Set中的值同样是只读视图
+ * 不支持Proxy的环境中只能包装普通对象，并且只包含创建视图时已有的属性
+ */
+export function readonly<T> (value: T, shallow?: boolean): T {
+  if (!isObject(value) || viewToRaw.has((value: any))) {
+    return value
+  }
+  const raw = toRaw(value)
+  const views = shallow ? shallowReadonlyViews : readonlyViews
+  let view = views.get(raw)
+  if (!view) {
+    observe(raw, false, shallow)
+    view = hasProxy
+      ? createReadonlyProxy(raw, !!shallow)
+      : createReadonlyWrapper(raw, !!shallow)
+    if (!view) {
+      return value
+    }
+    views.set(raw, view)
+    viewToRaw.set(view, raw)
+  }
+  return (view: any)
+}
+
+export function isReadonly (value: any): boolean {
+  return isObject(value) && viewToRaw.has(value)
+}
+
+export function warnReadonly (key: any) {
+  process.env.NODE_ENV !== 'production' && warn(
+    `Set operation on key "${String(key)}" failed: target is readonly.`,
+    undefined,
+    WarningIds.READONLY_SET,
+    { key }
+  )
+}
+
+// 获取只读视图背后的原始对象，用作集合的key
+function unwrap (value: any): any {
+  return isObject(value) && viewToRaw.has(value) ? viewToRaw.get(value) : value
+}
+
+function createReadonlyProxy (raw: Object, shallow: boolean): Object {
+  const ob = raw.__ob__
+  // 读取操作通过响应式引用完成：proxy模式下是ob.proxy，否则是原始对象本身（其属性是getter）
+  const source = ob && ob.proxy ? ob.proxy : raw
+  const wrap = val => shallow ? val : readonly(val)
+  if (isMap(raw) || isSet(raw)) {
+    return new Proxy(raw, {
+      get: (target, key) => getCollectionMember(target, key, wrap),
+      set: rejectSet,
+      deleteProperty: rejectSet,
+      defineProperty: rejectSet
+    })
+  }
+  // defineReactive模式下，数组的元素和对象新增的属性没有对应的getter，
+  // 需要订阅ob.dep才能在数组变更、Vue.set/Vue.delete时收到通知
+  const dependStructure = () => {
+    if (Dep.target && ob && !ob.proxy) {
+      ob.dep.depend()
+    }
+  }
+  const isArray = Array.isArray(raw)
+  return new Proxy(raw, {
+    get (target, key) {
+      if (key === '__ob__') return undefined
+      // 只读视图不能被响应式化
+      if (key === '__v_skip') return true
+      if (isArray) {
+        // 数组的变更方法直接发出警告，不在视图上执行
+        if (hasOwn(arrayMethods, key)) {
+          return () => warnReadonly(key)
+        }
+        dependStructure()
+      }
+      const res = Reflect.get(source, key)
+      if (!isObject(res)) {
+        return res
+      }
+      // non-configurable, non-writable data properties must return
+      // their actual value (Proxy invariant)
+      const property = Object.getOwnPropertyDescriptor(target, key)
+      if (property && !property.configurable && !property.writable) {
+        return res
+      }
+      return wrap(res)
+    },
+    has: (target, key) => Reflect.has(source, key),
+    ownKeys () {
+      dependStructure()
+      return Reflect.ownKeys(source)
+    },
+    set: rejectSet,
+    deleteProperty: rejectSet,
+    defineProperty: rejectSet
+  })
+}
+
+function rejectSet (target: Object, key: any): boolean {
+  warnReadonly(key)
+  return true
+}
+
+/**
+ * Members of a readonly Map/Set: mutators warn, readers are called
+ * on the reactive collection (so they are tracked) and wrap the
+ * values they return.
+ * 只读Map/Set的成员：变更方法发出警告，读取方法在响应式集合上调用并包装返回的值
+ */
+function getCollectionMember (target: any, key: any, wrap: Function): any {
+  const isMapTarget = isMap(target)
+  switch (key) {
+    case '__ob__': return undefined
+    case '__v_skip': return true
+    case 'size': return target.size
+    case 'get': return k => wrap(target.get(unwrap(k)))
+    case 'has': return k => target.has(unwrap(k))
+    case 'set':
+    case 'add':
+      return function (k) {
+        warnReadonly(k)
+        return this
+      }
+    case 'delete':
+      return k => {
+        warnReadonly(k)
+        return false
+      }
+    case 'clear':
+      return () => warnReadonly('clear')
+    case 'forEach':
+      return function (cb, thisArg) {
+        target.forEach((v, k) => {
+          cb.call(thisArg, wrap(v), isMapTarget ? k : wrap(k), this)
+        })
+      }
+    case 'keys':
+    case 'values':
+    case 'entries':
+    case Symbol.iterator: {
+      const method = key === Symbol.iterator ? (isMapTarget ? 'entries' : 'values') : key
+      const wrapEntry = ([k, v]) => [isMapTarget ? k : wrap(k), wrap(v)]
+      const mapItem = method === 'entries'
+        ? wrapEntry
+        : method === 'keys' && isMapTarget ? k => k : wrap
+      return () => {
+        const inner = target[method]()
+        return {
+          next () {
+            const { value, done } = inner.next()
+            return done ? { value, done } : { value: mapItem(value), done }
+          },
+          [Symbol.iterator] () {
+            return this
+          }
+        }
+      }
+    }
+  }
+  const res = Reflect.get(target, key, target)
+  return typeof res === 'function' ? res.bind(target) : res
+}
+
+// 不支持Proxy时，为普通对象创建一个通过getter读取原始对象的包装对象
+function createReadonlyWrapper (raw: Object, shallow: boolean): ?Object {
+  if (!isPlainObject(raw)) {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(
+        `readonly() requires Proxy support for arrays, Maps, Sets and ` +
+        `class instances, the value is returned as is.`,
+        undefined,
+        WarningIds.READONLY_UNSUPPORTED
+      )
+    }
+    return
+  }
+  const view = {}
+  Object.keys(raw).forEach(key => {
+    Object.defineProperty(view, key, {
+      enumerable: true,
+      get: () => shallow ? raw[key] : readonly(raw[key]),
+      set: () => warnReadonly(key)
+    })
+  })
+  def(view, '__v_skip', true)
+  return view
+}
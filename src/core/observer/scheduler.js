@@ -1,26 +1,52 @@
 /* @flow */
 
 import type Watcher from './watcher'
+import type { DebuggerEventExtraInfo } from './dep'
 import config from '../config'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
+import { isProfiling, profileStart, profileEnd } from '../util/perf'
 
 import {
   warn,
+  WarningIds,
+  getComponentName,
   nextTick,
+  queueTick,
+  holdTicks,
+  releaseTicks,
+  handleError,
+  ErrorCodes,
+  formatComponentName,
   devtools,
   inBrowser,
   isIE
 } from '../util/index'
 
+// default of config.maxUpdateCount
 export const MAX_UPDATE_COUNT = 100
 
 const queue: Array<Watcher> = [] // watcher队列（watcher缓存和watcher执行都依靠一个队列）
 const activatedChildren: Array<Component> = []
+const postFlushQueue: Array<Watcher> = [] // flush为post的watcher队列，在组件更新完成后执行
+let postFlushHas: { [key: number]: ?true } = {}
 let has: { [key: number]: ?true } = {} // 当前待执行的watcher
 let circular: { [key: number]: number } = {}
+// post watcher的执行次数，post watcher触发的后续冲刷中不会被重置，
+// 直到post队列被完整执行完毕
+let postCircular: { [key: number]: number } = {}
+// dev only: which watcher, by mutating which key, queued each watcher during
+// the current flush. Used to print the trigger chain of an infinite loop.
+// 开发环境下，记录冲刷过程中每个watcher是被哪个watcher修改哪个key而加入队列的
+let triggeredBy: {
+  [key: number]: { watcher: Watcher, info: ?DebuggerEventExtraInfo }
+} = {}
+// 正在执行的watcher，时间切片的冲刷让出主线程期间为null
+let currentlyRunning: ?Watcher = null
 let waiting = false // 标志冲刷队列的异步任务有没有注册
 let flushing = false // 标志队列冲刷是否已经开始
 let index = 0 // 冲刷watcher队列时的执行坐标
+let flushStartTime = 0 // 供config.schedulerHooks使用，本次冲刷开始的时间
+let flushRunCount = 0 // 供config.schedulerHooks使用，本次冲刷执行的watcher数量
 
 /**
  * Reset the scheduler's state.
@@ -31,6 +57,7 @@ function resetSchedulerState () {
   has = {}
   if (process.env.NODE_ENV !== 'production') {
     circular = {}
+    triggeredBy = {}
   }
   waiting = flushing = false
 }
@@ -66,6 +93,44 @@ if (inBrowser && !isIE) {
   }
 }
 
+// High resolution clock used to measure flushes for config.schedulerHooks.
+const perfNow: () => number =
+  typeof performance !== 'undefined' && typeof performance.now === 'function'
+    ? () => performance.now()
+    : Date.now
+
+// Yield to the browser with a (macro) task, so that rendering and input
+// handling can happen between slices of a time-sliced flush.
+// 通过宏任务让出主线程，使浏览器可以在两片冲刷之间进行渲染和响应用户输入
+// Node's setImmediate is not reported as native, but is a real macro task;
+// the channel is created lazily since an open port keeps Node processes alive.
+// Node中的setImmediate无法通过isNative检测，但同样是宏任务，因此不做isNative判断
+// MessageChannel在首次让出时才创建，避免在Node中模块加载后进程无法退出
+let yieldToBrowser: (cb: Function) => void
+if (typeof setImmediate !== 'undefined') {
+  yieldToBrowser = cb => {
+    setImmediate(cb)
+  }
+} else if (typeof MessageChannel !== 'undefined') {
+  let channel
+  const pending = []
+  yieldToBrowser = cb => {
+    if (!channel) {
+      channel = new MessageChannel()
+      channel.port1.onmessage = () => {
+        const cb = pending.shift()
+        cb && cb()
+      }
+    }
+    pending.push(cb)
+    channel.port2.postMessage(null)
+  }
+} else {
+  yieldToBrowser = cb => {
+    setTimeout(cb, 0)
+  }
+}
+
 /**
  * Flush both queues and run the watchers.
  * 执行watcher队列的完整逻辑
@@ -73,7 +138,6 @@ if (inBrowser && !isIE) {
 function flushSchedulerQueue () {
   currentFlushTimestamp = getNow() // 记录当前冲刷队列开始的时间，供外部使用
   flushing = true // 修改标志位，表示watcher队列已开始执行
-  let watcher, id
 
   // Sort queue before flush.
   // This ensures that:
@@ -91,20 +155,118 @@ function flushSchedulerQueue () {
   // 3.如果一个组件在其父组件更新时被销毁，那么他的watcher会被跳过
   queue.sort((a, b) => a.id - b.id)
 
-  // do not cache length because more watchers might be pushed
-  // as we run existing watchers
-  // 开始遍历watcher队列并执行
-  // 这里不缓存watcher队列的长度，因为执行过程中还可能有新的watcher加入队列
-  for (index = 0; index < queue.length; index++) {
-    watcher = queue[index]
-    if (watcher.before) { // watcher.before一般用于实现render watcher的beforeUpdate声明周期钩子
-      watcher.before()
+  const hooks = config.schedulerHooks
+  if (hooks) {
+    flushStartTime = perfNow()
+    flushRunCount = 0
+    hooks.onFlushStart && hooks.onFlushStart({
+      queueSize: queue.length,
+      timestamp: flushStartTime
+    })
+  }
+
+  runSchedulerQueue()
+}
+
+/**
+ * Run the queued watchers starting from the current index. When
+ * config.flushTimeBudget is set, yield to the browser once a slice
+ * has used up the budget and continue in a later (macro) task.
+ * The flushing state is kept while yielded, so watchers queued in
+ * between are still inserted by id, preserving parent-before-child
+ * order, and the updated hooks only run once the whole batch is done.
+ *
+ * 从当前坐标开始执行队列中的watcher
+ * 如果设置了config.flushTimeBudget，那么每一片执行超出预算后，让出主线程，
+ * 在之后的宏任务中继续执行
+ * 让出期间仍然处于冲刷状态，新加入的watcher依旧按id插入队列，保证父组件先于子组件更新，
+ * 并且updated钩子只会在整批watcher执行完毕后才调用
+ */
+function runSchedulerQueue () {
+  const budget = config.flushTimeBudget
+  const sliceStart = budget > 0 ? getNow() : 0
+  const sliceStartIndex = index
+  // 时间切片时每一片单独记录为一个trace事件，避免跨越其他任务
+  const profileStartTime = profileStart()
+  let watcher, id
+  // 执行watcher时抛出异常也需要重置调度器状态，
+  // 否则flushing/waiting会一直为true，之后的更新都无法再被调度
+  let settled = false
+
+  try {
+    // do not cache length because more watchers might be pushed
+    // as we run existing watchers
+    // 开始遍历watcher队列并执行
+    // 这里不缓存watcher队列的长度，因为执行过程中还可能有新的watcher加入队列
+    for (; index < queue.length; index++) {
+      // 每一片至少执行一个watcher，保证冲刷总能向前推进
+      if (budget > 0 && index > sliceStartIndex && getNow() - sliceStart >= budget) {
+        // 让出期间注册的nextTick回调（例如修改数据之后调用的$nextTick）暂缓执行，
+        // 直到整批watcher执行完毕，保证回调中看到的是更新完成后的状态
+        holdTicks()
+        // 设置了nextTickStrategy时（例如测试中的'manual'模式），通过它继续冲刷
+        if (config.nextTickStrategy) {
+          queueTick(resumeSchedulerQueue)
+        } else {
+          yieldToBrowser(resumeSchedulerQueue)
+        }
+        settled = true
+        if (isProfiling()) {
+          profileEnd('flush', 'scheduler', profileStartTime, { watchers: index - sliceStartIndex })
+        }
+        return
+      }
+      watcher = queue[index]
+      id = watcher.id
+      has[id] = null
+      // in dev build, check and stop circular updates. Runs are counted per
+      // watcher so that loops spanning several watchers are caught as well.
+      // 开发环境下，统计每个watcher在一次冲刷中的执行次数，以发现无限循环
+      // （包括多个watcher之间相互触发形成的循环）
+      if (
+        process.env.NODE_ENV !== 'production' &&
+        isInfiniteUpdate(watcher, circular, resetSchedulerState)
+      ) {
+        break
+      }
+      if (watcher.before) { // watcher.before一般用于实现render watcher的beforeUpdate声明周期钩子
+        watcher.before()
+      }
+      runWatcher(watcher)
+    }
+    settled = true
+  } finally {
+    if (!settled) {
+      resetSchedulerState()
+      releaseTicks()
     }
-    id = watcher.id
-    has[id] = null
-    watcher.run()
   }
+  const watcherCount = index - sliceStartIndex
 
+  try {
+    finishSchedulerFlush()
+  } finally {
+    releaseTicks()
+  }
+  if (isProfiling()) {
+    profileEnd('flush', 'scheduler', profileStartTime, { watchers: watcherCount })
+  }
+}
+
+function resumeSchedulerQueue () {
+  try {
+    runSchedulerQueue()
+  } catch (e) {
+    handleError(e, null, 'scheduler', ErrorCodes.SCHEDULER)
+  }
+}
+
+/**
+ * Reset the scheduler once every queued watcher has run, then call
+ * the updated/activated hooks and run the post-flush watchers.
+ * 整批watcher执行完毕后，重置调度器，调用updated/activated钩子，并执行post watcher
+ */
+function finishSchedulerFlush () {
   // keep copies of post queues before resetting state
   const activatedQueue = activatedChildren.slice() // 保存当前新的被唤醒的组件的队列的副本
   const updatedQueue = queue.slice() // 保存当前执行的watcher队列的副本
@@ -115,6 +277,20 @@ function flushSchedulerQueue () {
   callActivatedHooks(activatedQueue) // 对于唤醒的组件，逐个调用唤醒的生命周期钩子
   callUpdatedHooks(updatedQueue) // 对于执行更新的组件，逐个调用更新的生命周期钩子
 
+  // run post-flush watchers after the DOM has been patched
+  flushPostFlushQueue() // 所有组件更新完成后，执行post watcher
+
+  const hooks = config.schedulerHooks
+  const onFlushEnd = hooks && hooks.onFlushEnd
+  if (onFlushEnd) {
+    const timestamp = perfNow()
+    onFlushEnd.call(hooks, {
+      watcherCount: flushRunCount,
+      duration: timestamp - flushStartTime,
+      timestamp
+    })
+  }
+
   // devtool hook
   /* istanbul ignore if */
   if (devtools && config.devtools) {
@@ -122,6 +298,129 @@ function flushSchedulerQueue () {
   }
 }
 
+/**
+ * Count a run of a watcher and report an infinite update loop once
+ * it exceeds config.maxUpdateCount. With config.throwOnInfiniteUpdate
+ * the given reset is called before throwing, so that later updates
+ * can still be scheduled.
+ *
+ * 统计watcher的执行次数，超过config.maxUpdateCount时报告无限循环，返回true表示应当停止执行
+ * 设置了config.throwOnInfiniteUpdate时，先调用reset重置状态再抛出，保证后续的更新还能被正常调度
+ */
+function isInfiniteUpdate (
+  watcher: Watcher,
+  counts: { [key: number]: number },
+  reset: () => void
+): boolean {
+  const id = watcher.id
+  counts[id] = (counts[id] || 0) + 1
+  if (counts[id] <= config.maxUpdateCount) {
+    return false
+  }
+  const msg =
+    'You may have an infinite update loop ' + (
+      watcher.user
+        ? `in watcher with expression "${watcher.expression}"`
+        : `in a component render function.`
+    ) + formatTriggerChain(watcher)
+  if (config.throwOnInfiniteUpdate) {
+    reset()
+    throw new Error(msg)
+  }
+  warn(msg, watcher.vm, WarningIds.INFINITE_UPDATE_LOOP, {
+    expression: watcher.expression,
+    count: counts[id]
+  })
+  return true
+}
+
+// 执行watcher，执行期间记录为正在执行的watcher
+function runCurrent (watcher: Watcher) {
+  const prevRunning = currentlyRunning
+  currentlyRunning = watcher
+  try {
+    watcher.run()
+  } finally {
+    currentlyRunning = prevRunning
+  }
+}
+
+/**
+ * Run a watcher, reporting it to config.schedulerHooks.onWatcherRun
+ * with its duration when the hook is set, and to the trace recorded
+ * by Vue.startProfiling().
+ * 执行watcher，如果设置了config.schedulerHooks.onWatcherRun，那么上报执行耗时
+ * 正在记录trace时，同时记录一个watcher事件
+ */
+function runWatcher (watcher: Watcher) {
+  const hooks = config.schedulerHooks
+  if (hooks) {
+    flushRunCount++
+  }
+  if (!isProfiling() && !(hooks && hooks.onWatcherRun)) {
+    runCurrent(watcher)
+    return
+  }
+  const profileStartTime = profileStart()
+  const start = perfNow()
+  runCurrent(watcher)
+  const duration = perfNow() - start
+  const vm = watcher.vm
+  const isRender = !!vm && vm._watcher === watcher
+  const type = isRender ? 'render' : watcher.user ? 'user' : 'internal'
+  if (hooks && hooks.onWatcherRun) {
+    hooks.onWatcherRun({
+      id: watcher.id,
+      type,
+      expression: watcher.expression,
+      // 对于render watcher，上报对应的组件名
+      componentName: isRender
+        ? vm.$options.name || vm.$options._componentTag || null
+        : null,
+      duration
+    })
+  }
+  if (isProfiling()) {
+    profileEnd(
+      isRender ? `${getComponentName(vm)} update` : `watcher ${watcher.expression || watcher.id}`,
+      'watcher',
+      profileStartTime,
+      { id: watcher.id, type }
+    )
+  }
+}
+
+/**
+ * Walk the recorded triggers backwards from a watcher until the
+ * chain loops, and format it as watcher → mutated key → watcher.
+ *
+ * 从发生无限循环的watcher开始，沿着记录的触发关系往回查找，直到形成环
+ * 输出形如 watcher → 被修改的key → watcher 的触发链
+ */
+function formatTriggerChain (watcher: Watcher): string {
+  const chain = [describeWatcher(watcher)]
+  const seen = {}
+  let cur = watcher
+  while (!seen[cur.id] && triggeredBy[cur.id]) {
+    seen[cur.id] = true
+    const { watcher: source, info } = triggeredBy[cur.id]
+    chain.unshift(
+      describeWatcher(source),
+      info ? `${info.type} "${String(info.key)}"` : '(unknown key)'
+    )
+    cur = source
+  }
+  return chain.length > 1
+    ? `\n\ntrigger chain:\n  ${chain.join('\n    → ')}`
+    : ''
+}
+
+function describeWatcher (watcher: Watcher): string {
+  return watcher.vm && watcher.vm._watcher === watcher
+    ? `render function of ${formatComponentName(watcher.vm)}`
+    : `watcher "${watcher.expression}"`
+}
+
 function callUpdatedHooks (queue) {
   // 遍历所有执行的watcher，如果是组件的render watcher，
   // 并且该组件已被挂在、未被销毁
@@ -136,6 +435,49 @@ function callUpdatedHooks (queue) {
   }
 }
 
+/**
+ * Run the watchers queued with flush: 'post'. Watchers queued while
+ * running them are left for the next flush; their runs keep being
+ * counted until the queue is drained, so that a post watcher
+ * re-triggering itself is reported like any other update loop.
+ *
+ * 执行post队列中的watcher
+ * 执行过程中新加入的post watcher会留到下一次冲刷时执行
+ * 直到post队列被执行完毕之前，post watcher的执行次数会一直累计，
+ * 因此post watcher反复触发自身时，同样会被当作无限循环报告
+ */
+function flushPostFlushQueue () {
+  if (!postFlushQueue.length) {
+    return
+  }
+  const jobs = postFlushQueue.slice()
+  postFlushQueue.length = 0
+  postFlushHas = {}
+  jobs.sort((a, b) => a.id - b.id)
+  for (let i = 0; i < jobs.length; i++) {
+    if (
+      process.env.NODE_ENV !== 'production' &&
+      isInfiniteUpdate(jobs[i], postCircular, resetPostFlushQueue)
+    ) {
+      // 丢弃之后排队的post watcher，终止循环
+      resetPostFlushQueue()
+      return
+    }
+    runWatcher(jobs[i])
+  }
+  if (process.env.NODE_ENV !== 'production' && !postFlushQueue.length) {
+    postCircular = {}
+  }
+}
+
+function resetPostFlushQueue () {
+  postFlushQueue.length = 0
+  postFlushHas = {}
+  if (process.env.NODE_ENV !== 'production') {
+    postCircular = {}
+  }
+}
+
 /**
  * Queue a kept-alive component that was activated during patch.
  * The queue will be processed after the entire tree has been patched.
@@ -163,10 +505,14 @@ function callActivatedHooks (queue) {
  * 特殊情况，如果队列在执行的过程中，那么已经执行完毕的watcher
  * 是可能再次被加入watcher队列的
  */
-export function queueWatcher (watcher: Watcher) {
+export function queueWatcher (watcher: Watcher, info?: DebuggerEventExtraInfo) {
   const id = watcher.id
   if (has[id] == null) { // 已经加入队列的watcher不重复加入
     has[id] = true
+    if (process.env.NODE_ENV !== 'production' && currentlyRunning) {
+      // 在watcher执行过程中被加入队列，记录是被哪个watcher修改哪个key触发的
+      triggeredBy[id] = { watcher: currentlyRunning, info }
+    }
     if (!flushing) {
       // 如果尚未开始执行队列中的watcher，那么简单入队即可
       queue.push(watcher)
@@ -186,6 +532,37 @@ export function queueWatcher (watcher: Watcher) {
       // 那么还需要主动注册一下在微任务中异步“冲刷”队列
       waiting = true
 
+      // config.async为false时（供Vue Test Utils使用）同步冲刷队列
+      if (process.env.NODE_ENV !== 'production' && !config.async) {
+        flushSchedulerQueue()
+        return
+      }
+      nextTick(flushSchedulerQueue)
+    }
+  }
+}
+
+/**
+ * Push a watcher into the post-flush queue, which runs after all
+ * render watchers and the updated hooks of the current flush.
+ *
+ * 将一个flush为post的watcher加入post队列，重复的watcher不会被加入
+ * post队列会在所有render watcher以及updated钩子执行完毕之后执行
+ */
+export function queuePostFlushWatcher (watcher: Watcher) {
+  const id = watcher.id
+  if (postFlushHas[id] == null) {
+    postFlushHas[id] = true
+    postFlushQueue.push(watcher)
+    // 即使主队列为空，也需要注册一次冲刷
+    if (!waiting) {
+      waiting = true
+
+      // config.async为false时同步冲刷，post watcher在组件更新完成后立即执行
+      if (process.env.NODE_ENV !== 'production' && !config.async) {
+        flushSchedulerQueue()
+        return
+      }
       nextTick(flushSchedulerQueue)
     }
   }
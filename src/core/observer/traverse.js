@@ -1,19 +1,58 @@
 /* @flow */
 
-import { _Set as Set, isObject } from '../util/index'
+import { _Set as Set, isObject, isMap, isSet } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
 
+/**
+ * Options accepted by the `deep` watcher option besides `true`:
+ * - a number: the maximum depth to traverse (1 = direct properties only)
+ * - an object: a maximum depth and/or include/exclude path globs.
+ *   Paths are dot-separated keys relative to the watched value, where
+ *   `*` matches a single key and `**` matches any number of keys,
+ *   e.g. `entities.*.name` or `ui.**`.
+ *
+ * deep选项除了true之外，还可以是：
+ * - 数字：最大遍历深度（1表示只订阅值自身的属性）
+ * - 对象：最大深度以及include/exclude路径通配符
+ *   路径为相对于被监听值、以点号分隔的key，*匹配单个key，**匹配任意层级的key
+ */
+export type TraverseOptions = {
+  depth?: number;
+  include?: Array<string>;
+  exclude?: Array<string>;
+};
+
+export type DeepOption = boolean | number | TraverseOptions;
+
+type CompiledFilter = {
+  depth: number;
+  include: ?Array<Array<string>>;
+  exclude: ?Array<Array<string>>;
+};
+
 const seenObjects = new Set()
 
 /**
  * Recursively traverse an object to evoke all converted
  * getters, so that every nested property inside the object
  * is collected as a "deep" dependency.
+ *
+ * When `deep` is a number or an options object the traversal
+ * stops at the given depth and only follows the matching paths.
+ * 传入数字或选项对象时，遍历会在指定深度停止，并且只遍历匹配的路径
  */
-export function traverse (val: any) {
-  _traverse(val, seenObjects)
-  seenObjects.clear()
+export function traverse (val: any, deep?: DeepOption) {
+  if (deep === true || deep === undefined) {
+    _traverse(val, seenObjects)
+    seenObjects.clear()
+  } else if (deep) {
+    const filter = compileFilter(deep)
+    // 设置了include时，被监听的值本身只是部分匹配，需要逐层匹配
+    const include = filter.include ? startPositions(filter.include) : null
+    const exclude = filter.exclude ? startPositions(filter.exclude) : null
+    _traverseFiltered(val, filter, filter.depth, include, exclude, new Set(), [])
+  }
 }
 
 function _traverse (val: any, seen: SimpleSet) {
@@ -22,6 +61,10 @@ function _traverse (val: any, seen: SimpleSet) {
   if ((!isA && !isObject(val)) || Object.isFrozen(val) || val instanceof VNode) {
     return
   }
+  // 通过markRaw标记的对象不需要遍历
+  if (val.__v_skip) {
+    return
+  }
   if (val.__ob__) {
     const depId = val.__ob__.dep.id
     // 防止循环引用，访问过的结点直接返回
@@ -33,9 +76,171 @@ function _traverse (val: any, seen: SimpleSet) {
   if (isA) {
     i = val.length
     while (i--) _traverse(val[i], seen)
+  } else if (isMap(val) || isSet(val)) {
+    // 对于Map和Set，通过forEach遍历，forEach会订阅集合的迭代依赖
+    val.forEach(item => _traverse(item, seen))
   } else {
     keys = Object.keys(val)
     i = keys.length
     while (i--) _traverse(val[keys[i]], seen) // 取值的时候触发getter，完成依赖收集
   }
 }
+
+/**
+ * Bounded version of _traverse. The same object may be reached
+ * through several paths which are not filtered the same way, so a
+ * reactive object is only skipped when it was already traversed with
+ * the same remaining depth and the same glob match state (which
+ * determine the traversal of its subtree), e.g. state shared by
+ * several entities is traversed once per distinct state instead of
+ * once per path. Non-reactive objects are only guarded against
+ * circular references through the ancestors of the current value.
+ *
+ * 有限制的遍历，与_traverse的区别在于：
+ * 同一个对象经由不同的路径访问时，深度和路径的过滤结果可能不同，
+ * 因此响应式对象以（对象、剩余深度、通配符匹配状态）去重，这三者决定了其子树的遍历结果
+ * 这样被多处引用的共享状态只会按不同的匹配状态各遍历一次，而不是每条路径遍历一次
+ * 非响应式对象只记录当前路径上的祖先结点，用于防止循环引用
+ */
+function _traverseFiltered (
+  val: any,
+  filter: CompiledFilter,
+  depth: number, // 剩余的遍历深度
+  include: ?Positions, // 为null时表示已经完整匹配include（或没有设置include）
+  exclude: ?Positions, // 为null时表示不会再被exclude匹配（或没有设置exclude）
+  seen: SimpleSet,
+  ancestors: Array<Object>
+) {
+  const isA = Array.isArray(val)
+  if ((!isA && !isObject(val)) || Object.isFrozen(val) || val instanceof VNode) {
+    return
+  }
+  if (val.__v_skip || depth <= 0 || ancestors.indexOf(val) > -1) {
+    return
+  }
+  if (val.__ob__) {
+    const key = `${val.__ob__.dep.id}|${depth}|${positionsKey(include)}|${positionsKey(exclude)}`
+    if (seen.has(key)) {
+      return
+    }
+    seen.add(key)
+  }
+  ancestors.push(val)
+  const visit = (key: string, child: () => any) => {
+    let childInclude = include
+    if (include) {
+      childInclude = advance((filter.include: any), include, key)
+      if (!childInclude.length) {
+        return
+      }
+      // 祖先路径已经完整匹配include时，后代不需要再次匹配
+      if (isFullMatch((filter.include: any), childInclude)) {
+        childInclude = null
+      }
+    }
+    let childExclude = exclude
+    if (exclude) {
+      childExclude = advance((filter.exclude: any), exclude, key)
+      if (isFullMatch((filter.exclude: any), childExclude)) {
+        return
+      }
+      if (!childExclude.length) {
+        childExclude = null
+      }
+    }
+    // 只对未被过滤掉的key取值（触发getter），被过滤掉的key不会被订阅
+    _traverseFiltered(child(), filter, depth - 1, childInclude, childExclude, seen, ancestors)
+  }
+  if (isA) {
+    for (let i = 0; i < val.length; i++) visit(String(i), () => val[i])
+  } else if (isMap(val)) {
+    // Map的key不一定是字符串，路径中只使用字符串形式的key
+    val.forEach((value, key) => visit(String(key), () => value))
+  } else if (isSet(val)) {
+    let i = 0
+    val.forEach(item => visit(String(i++), () => item))
+  } else {
+    const keys = Object.keys(val)
+    for (let i = 0; i < keys.length; i++) visit(keys[i], () => val[keys[i]])
+  }
+  ancestors.pop()
+}
+
+function compileFilter (deep: number | TraverseOptions): CompiledFilter {
+  const options: TraverseOptions = typeof deep === 'number' ? { depth: deep } : deep
+  const compile = patterns => patterns && patterns.length
+    ? patterns.map(pattern => pattern.split('.'))
+    : null
+  return {
+    depth: typeof options.depth === 'number' ? options.depth : Infinity,
+    include: compile(options.include),
+    exclude: compile(options.exclude)
+  }
+}
+
+/**
+ * The match state of a path against a list of glob patterns: the
+ * positions, as [pattern index, segment index], each pattern can be
+ * at after matching the keys of the path so far.
+ *
+ * 路径与一组通配符的匹配状态：匹配完路径中已有的key之后，每个通配符可能所处的位置
+ * 以[通配符序号, 片段序号]表示，片段序号等于通配符长度时，表示该通配符已经完整匹配
+ */
+type Positions = Array<[number, number]>;
+
+function startPositions (patterns: Array<Array<string>>): Positions {
+  const positions = []
+  for (let p = 0; p < patterns.length; p++) {
+    addPosition(positions, patterns, p, 0)
+  }
+  return positions
+}
+
+function addPosition (
+  positions: Positions,
+  patterns: Array<Array<string>>,
+  p: number,
+  pi: number
+) {
+  for (let i = 0; i < positions.length; i++) {
+    if (positions[i][0] === p && positions[i][1] === pi) return
+  }
+  positions.push([p, pi])
+  // **可以匹配零个key，因此其后的位置同样可能被匹配
+  if (patterns[p][pi] === '**') {
+    addPosition(positions, patterns, p, pi + 1)
+  }
+}
+
+/**
+ * Match one more key of the path.
+ * 继续匹配路径中的下一个key，返回新的匹配状态
+ */
+function advance (
+  patterns: Array<Array<string>>,
+  positions: Positions,
+  key: string
+): Positions {
+  const next = []
+  for (let i = 0; i < positions.length; i++) {
+    const [p, pi] = positions[i]
+    const segment = patterns[p][pi]
+    if (segment === '**') {
+      // **可以匹配任意多个key，匹配后仍停留在当前位置
+      addPosition(next, patterns, p, pi)
+    } else if (segment === '*' || segment === key) {
+      addPosition(next, patterns, p, pi + 1)
+    }
+  }
+  return next
+}
+
+function isFullMatch (patterns: Array<Array<string>>, positions: Positions): boolean {
+  return positions.some(([p, pi]) => pi === patterns[p].length)
+}
+
+function positionsKey (positions: ?Positions): string {
+  return positions
+    ? positions.map(position => position.join(':')).sort().join(',')
+    : '-'
+}
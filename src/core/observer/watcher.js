@@ -2,23 +2,34 @@
 
 import {
   warn,
+  WarningIds,
   remove,
   isObject,
+  hasChanged,
   parsePath,
   _Set as Set,
   handleError,
+  ErrorCodes,
   invokeWithErrorHandling,
   noop
 } from '../util/index'
 
 import { traverse } from './traverse'
-import { queueWatcher } from './scheduler'
+import type { DeepOption } from './traverse'
+import { queueWatcher, queuePostFlushWatcher } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import { activeEffectScope, recordEffectScope, removeEffect } from './effect-scope'
+import type { EffectScope } from './effect-scope'
+import type { DebuggerEvent, DebuggerEventExtraInfo } from './dep'
 
 import type { SimpleSet } from '../util/index'
 
 let uid = 0
 
+// 同时监听多个数据源时的数据源：表达式、函数，或者单独声明了deep的数据源
+type WatchSourceOptions = { source: string | Function, deep?: DeepOption };
+type WatchSource = string | Function | WatchSourceOptions;
+
 /**
  * A watcher parses an expression, collects dependencies,
  * and fires callback when the expression value changes.
@@ -29,12 +40,14 @@ let uid = 0
  */
 export default class Watcher {
   vm: Component; // 仅render watcher有该属性，表示当前watcher是那个vue实例的render watcher
+  expression: string; // 开发环境下，记录watcher监听的表达式，用于输出警告信息
   cb: Function; // 回调函数，执行回调的时候会被调用
   id: number; // 一个自增的watcher id，其自增特性其他逻辑会用到
-  deep: boolean; // 是否递归监听对象所有内部属性的变化
+  deep: DeepOption; // 是否递归监听对象内部属性的变化，可以限制深度和路径
   user: boolean; // 标记这是否是一个user watcher（区别于render watcher）
   lazy: boolean; // 用于支持计算属性的需要，lazy可以使watcher不要立即求值
   sync: boolean; // 以同步方式立即执行watcher
+  flush: 'pre' | 'post' | 'sync'; // 执行时机：pre在组件更新前执行（默认），post在组件更新完成后执行，sync同步执行
   dirty: boolean;  // 与lazy成对使用，标记当前watcher的依赖已经变化了，需要重新求值（如果dirty没变，那么可以继续使用缓存的值）
   active: boolean;
   deps: Array<Dep>;
@@ -42,12 +55,18 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  sources: ?Array<{ getter: Function, deep: DeepOption }>; // 同时监听多个数据源时，每个数据源的getter
   getter: Function; // 创建watcher的时候传入的expOrFn，最后被会统一为一个getter方法
   value: any;
+  scopes: ?Array<EffectScope>; // 收集了当前watcher的作用域
+
+  // dev only
+  onTrack: ?(event: DebuggerEvent) => void; // 订阅依赖时的调试钩子
+  onTrigger: ?(event: DebuggerEvent) => void; // 依赖通知时的调试钩子
 
   constructor (
     vm: Component,
-    expOrFn: string | Function,
+    expOrFn: string | Function | Array<WatchSource>,
     cb: Function,
     options?: ?Object,
     isRenderWatcher?: boolean
@@ -58,38 +77,61 @@ export default class Watcher {
       vm._watcher = this
     }
     vm._watchers.push(this)
+    this.scopes = null
+    // 收集到组件自己的作用域中，组件销毁时统一销毁
+    // 如果创建时有激活的作用域（例如插件通过effectScope().run()创建），
+    // 那么同时收集到该作用域中，停止该作用域时也会销毁当前watcher
+    recordEffectScope(this, vm._scope)
+    if (activeEffectScope && activeEffectScope !== vm._scope) {
+      recordEffectScope(this, activeEffectScope)
+    }
     // options
     if (options) {
-      this.deep = !!options.deep
+      this.deep = options.deep || false
       this.user = !!options.user
       this.lazy = !!options.lazy
-      this.sync = !!options.sync
+      this.flush = options.flush || (options.sync ? 'sync' : 'pre')
+      this.sync = this.flush === 'sync'
       this.before = options.before
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
       this.deep = this.user = this.lazy = this.sync = false
+      this.flush = 'pre'
     }
     this.cb = cb
     this.id = ++uid // uid for batching
     this.active = true
     this.dirty = this.lazy // for lazy watchers
+    this.expression = process.env.NODE_ENV !== 'production'
+      ? expOrFn.toString()
+      : ''
     this.deps = []
     this.newDeps = []
     this.depIds = new Set()
     this.newDepIds = new Set()
     // parse expression for getter
-    if (typeof expOrFn === 'function') {
-      this.getter = expOrFn
-    } else {
-      this.getter = parsePath(expOrFn)
-      if (!this.getter) {
-        this.getter = noop
-        process.env.NODE_ENV !== 'production' && warn(
-          `Failed watching path: "${expOrFn}" ` +
-          'Watcher only accepts simple dot-delimited paths. ' +
-          'For full control, use a function instead.',
-          vm
-        )
+    if (Array.isArray(expOrFn)) {
+      // 同时监听多个数据源，getter返回由各个数据源的值组成的数组
+      // 每个数据源可以单独声明deep，在求值时单独进行深度遍历
+      const sources = this.sources = expOrFn.map((source: WatchSource) => {
+        if (typeof source === 'string' || typeof source === 'function') {
+          return { getter: parseGetter(source, vm), deep: false }
+        }
+        return { getter: parseGetter(source.source, vm), deep: source.deep || false }
+      })
+      this.getter = function (vm) {
+        return sources.map(source => {
+          const value = source.getter.call(vm, vm)
+          if (source.deep) traverse(value, source.deep)
+          return value
+        })
       }
+    } else {
+      this.sources = null
+      this.getter = parseGetter(expOrFn, vm)
     }
     this.value = this.lazy
       ? undefined
@@ -111,7 +153,7 @@ export default class Watcher {
       value = this.getter.call(vm, vm)  // 执行一次取值，完成依赖收集
     } catch (e) {
       if (this.user) {
-        handleError(e, vm, `getter for watcher "${this.expression}"`)
+        handleError(e, vm, `getter for watcher "${this.expression}"`, ErrorCodes.WATCHER_GETTER)
       } else {
         throw e
       }
@@ -122,7 +164,7 @@ export default class Watcher {
       // 都应该被当前watcher订阅，因此，
       // 递归将对象的所有属性都访问一下，以彻底进行依赖收集
       if (this.deep) {
-        traverse(value)
+        traverse(value, this.deep)
       }
       // 依赖收集完成，把当前watcher设置从全局唯一订阅者的位置赶下来
       popTarget()
@@ -187,16 +229,20 @@ export default class Watcher {
    * 对于一个Watcher来说
    * 如果是lazy watcher，那么做脏标记，暂不执行
    * 如果是同步的watcher，那么直接执行掉
+   * 如果是post watcher，那么加入post队列，等组件更新完成后再执行
    * 其他情况下，将watcher加入队列，等待异步调度
    */
-  update () {
+  update (info?: DebuggerEventExtraInfo) {
     /* istanbul ignore else */
     if (this.lazy) {
       this.dirty = true
     } else if (this.sync) {
       this.run()
+    } else if (this.flush === 'post') {
+      queuePostFlushWatcher(this)
     } else {
-      queueWatcher(this)
+      // info是开发环境下触发本次更新的依赖信息，供调度器诊断无限循环
+      queueWatcher(this, info)
     }
   }
 
@@ -215,19 +261,21 @@ export default class Watcher {
       // 又或者这是一个deep watcher
       // 那么这个watcher就需要被执行
       if (
-        value !== this.value ||
-        // Deep watchers and watchers on Object/Arrays should fire even
-        // when the value is the same, because the value may
-        // have mutated.
-        isObject(value) ||
-        this.deep
+        this.sources
+          ? this.sourcesChanged(value)
+          : value !== this.value ||
+            // Deep watchers and watchers on Object/Arrays should fire even
+            // when the value is the same, because the value may
+            // have mutated.
+            isObject(value) ||
+            this.deep
       ) {
         // set new value
         const oldValue = this.value
         this.value = value
         if (this.user) {
           const info = `callback for watcher "${this.expression}"`
-          invokeWithErrorHandling(this.cb, this.vm, [value, oldValue], this.vm, info)
+          invokeWithErrorHandling(this.cb, this.vm, [value, oldValue], this.vm, info, ErrorCodes.WATCHER_CALLBACK)
         } else {
           this.cb.call(this.vm, value, oldValue)
         }
@@ -235,6 +283,30 @@ export default class Watcher {
     }
   }
 
+  /**
+   * Check whether any of the watched sources has changed. Each source
+   * follows the same rule as a single-source watcher.
+   * 同时监听多个数据源时，只要有一个数据源发生变化，就需要执行回调
+   */
+  sourcesChanged (value: ?Array<any>): boolean {
+    // user watcher的getter抛出错误时没有新的值
+    if (!value) {
+      return false
+    }
+    const sources = this.sources || []
+    for (let i = 0; i < sources.length; i++) {
+      if (
+        hasChanged(value[i], this.value[i]) ||
+        isObject(value[i]) ||
+        sources[i].deep ||
+        this.deep
+      ) {
+        return true
+      }
+    }
+    return false
+  }
+
   /**
    * Evaluate the value of the watcher.
    * This only gets called for lazy watchers.
@@ -270,6 +342,7 @@ export default class Watcher {
       if (!this.vm._isBeingDestroyed) {
         remove(this.vm._watchers, this)
       }
+      removeEffect(this)
       let i = this.deps.length
       while (i--) {
         this.deps[i].removeSub(this)
@@ -278,3 +351,26 @@ export default class Watcher {
     }
   }
 }
+
+/**
+ * Parse an expression or function into a getter.
+ * 将监听的表达式或函数统一转换为getter方法
+ */
+function parseGetter (expOrFn: string | Function, vm: Component): Function {
+  if (typeof expOrFn === 'function') {
+    return expOrFn
+  }
+  const getter = parsePath(expOrFn)
+  if (!getter) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Failed watching path: "${expOrFn}" ` +
+      'Watcher only accepts simple dot-delimited paths. ' +
+      'For full control, use a function instead.',
+      vm,
+      WarningIds.WATCH_PATH_INVALID,
+      { path: expOrFn }
+    )
+    return noop
+  }
+  return getter
+}
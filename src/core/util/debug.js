@@ -1,32 +1,140 @@
 /* @flow */
 
 import config from '../config'
-import { noop } from 'shared/util'
+import { noop, extend } from 'shared/util'
 
-export let warn = noop
-export let tip = noop
-export let generateComponentTrace = (noop: any) // work around flow check
-export let formatComponentName = (noop: any)
+export type ComponentTraceEntry = {
+  name: string;
+  file: ?string;
+  props: ?Object;
+  recursiveCalls: number;
+};
+
+/**
+ * Stable IDs of the warnings. Each warning site passes its ID and the
+ * values interpolated into the message as params, which are delivered
+ * to config.warnHandler as (msg, vm, trace, { id, params }), so that
+ * tooling doesn't have to parse the message text.
+ *
+ * 警告的稳定ID，每处警告都会带上ID以及拼接进警告信息的参数，
+ * 以{ id, params }的形式作为第4个参数传给config.warnHandler，
+ * 这样警告的收集工具不需要解析警告文本
+ */
+export const WarningIds = {
+  // props
+  PROP_REQUIRED_MISSING: 'PROP_REQUIRED_MISSING',
+  PROP_INVALID_TYPE: 'PROP_INVALID_TYPE',
+  PROP_VALIDATOR_FAILED: 'PROP_VALIDATOR_FAILED',
+  PROP_INVALID_DEFAULT: 'PROP_INVALID_DEFAULT',
+  PROP_TYPE_NOT_CONSTRUCTOR: 'PROP_TYPE_NOT_CONSTRUCTOR',
+  PROP_RESERVED_ATTRIBUTE: 'PROP_RESERVED_ATTRIBUTE',
+  PROP_MUTATED: 'PROP_MUTATED',
+  PROPS_READONLY: 'PROPS_READONLY',
+  // components & assets
+  UNKNOWN_ELEMENT: 'UNKNOWN_ELEMENT',
+  ASSET_NOT_FOUND: 'ASSET_NOT_FOUND',
+  COMPONENT_NAME_INVALID: 'COMPONENT_NAME_INVALID',
+  COMPONENT_NAME_RESERVED: 'COMPONENT_NAME_RESERVED',
+  // options
+  OPTION_INSTANCE_ONLY: 'OPTION_INSTANCE_ONLY',
+  OPTION_INVALID_TYPE: 'OPTION_INVALID_TYPE',
+  OPTION_UNKNOWN: 'OPTION_UNKNOWN',
+  MIXIN_CONFLICT: 'MIXIN_CONFLICT',
+  MIXIN_NO_SHADOW: 'MIXIN_NO_SHADOW',
+  PROPS_ARRAY_NOT_STRINGS: 'PROPS_ARRAY_NOT_STRINGS',
+  DATA_NOT_FUNCTION: 'DATA_NOT_FUNCTION',
+  DATA_NOT_OBJECT: 'DATA_NOT_OBJECT',
+  DATA_PROP_CONFLICT: 'DATA_PROP_CONFLICT',
+  DATA_REPLACED: 'DATA_REPLACED',
+  METHOD_INVALID_TYPE: 'METHOD_INVALID_TYPE',
+  METHOD_DATA_CONFLICT: 'METHOD_DATA_CONFLICT',
+  METHOD_PROP_CONFLICT: 'METHOD_PROP_CONFLICT',
+  METHOD_RESERVED_NAME: 'METHOD_RESERVED_NAME',
+  COMPUTED_GETTER_MISSING: 'COMPUTED_GETTER_MISSING',
+  COMPUTED_SETTER_INVALID: 'COMPUTED_SETTER_INVALID',
+  COMPUTED_CONFLICT: 'COMPUTED_CONFLICT',
+  COMPUTED_NO_SETTER: 'COMPUTED_NO_SETTER',
+  COMPUTED_INFO_NOT_FOUND: 'COMPUTED_INFO_NOT_FOUND',
+  INJECTION_MUTATED: 'INJECTION_MUTATED',
+  // rendering & events
+  MOUNT_RUNTIME_ONLY: 'MOUNT_RUNTIME_ONLY',
+  MOUNT_NO_RENDER: 'MOUNT_NO_RENDER',
+  RENDER_MULTIPLE_ROOTS: 'RENDER_MULTIPLE_ROOTS',
+  ATTRS_READONLY: 'ATTRS_READONLY',
+  LISTENERS_READONLY: 'LISTENERS_READONLY',
+  EVENT_HANDLER_INVALID: 'EVENT_HANDLER_INVALID',
+  EVENT_CASE_MISMATCH: 'EVENT_CASE_MISMATCH',
+  ERROR_BOUNDARY_MULTIPLE_ROOTS: 'ERROR_BOUNDARY_MULTIPLE_ROOTS',
+  DUPLICATE_KEYS: 'DUPLICATE_KEYS',
+  HYDRATION_MISMATCH: 'HYDRATION_MISMATCH',
+  // reactivity
+  WATCH_PATH_INVALID: 'WATCH_PATH_INVALID',
+  INFINITE_UPDATE_LOOP: 'INFINITE_UPDATE_LOOP',
+  READONLY_SET: 'READONLY_SET',
+  READONLY_UNSUPPORTED: 'READONLY_UNSUPPORTED',
+  OBSERVABLE_METHOD_MISSING: 'OBSERVABLE_METHOD_MISSING',
+  SCOPE_INACTIVE: 'SCOPE_INACTIVE',
+  SCOPE_DISPOSE_NO_ACTIVE: 'SCOPE_DISPOSE_NO_ACTIVE',
+  // misc
+  CONFIG_REPLACED: 'CONFIG_REPLACED',
+  APP_ALREADY_MOUNTED: 'APP_ALREADY_MOUNTED',
+  FIND_LEAKS_UNSUPPORTED: 'FIND_LEAKS_UNSUPPORTED',
+  PLUGIN_NAME_CONFLICT: 'PLUGIN_NAME_CONFLICT',
+  PLUGIN_DEPENDENCY_MISSING: 'PLUGIN_DEPENDENCY_MISSING',
+  PLUGIN_INVALID_OPTIONS: 'PLUGIN_INVALID_OPTIONS',
+  PLUGIN_REQUIRED: 'PLUGIN_REQUIRED',
+  TRACK_PROMISE_NO_COMPONENT: 'TRACK_PROMISE_NO_COMPONENT',
+  UNCAUGHT_ERROR: 'UNCAUGHT_ERROR'
+}
+
+export type WarningId = $Values<typeof WarningIds>;
+
+type WarnFn = (msg: string, vm?: ?Component, id?: WarningId, params?: Object) => void;
+
+export let warn: WarnFn = noop
+export let tip: WarnFn = noop
+export let generateComponentTrace: (vm: any) => string = (noop: any) // work around flow check
+export let formatComponentName: (vm: any, includeFile?: boolean) => string = (noop: any)
+
+const hasConsole = typeof console !== 'undefined'
+
+/**
+ * Config of the app (see Vue.createApp) the component belongs to, whose
+ * handlers take precedence over the global ones.
+ * 获取组件所属应用（通过Vue.createApp创建）的配置，其中的处理函数优先于全局配置
+ */
+export function getAppConfig (vm: ?Component): ?Object {
+  const base: any = vm && vm.$options ? vm.$options._base : null
+  return base ? base.appConfig : null
+}
+
+function getWarnHandler (vm: ?Component): ?Function {
+  const appConfig = getAppConfig(vm)
+  return (appConfig && appConfig.warnHandler) || config.warnHandler
+}
 
 if (process.env.NODE_ENV !== 'production') {
-  const hasConsole = typeof console !== 'undefined'
   const classifyRE = /(?:^|[-_])(\w)/g
   const classify = str => str
     .replace(classifyRE, c => c.toUpperCase())
     .replace(/[-_]/g, '')
 
-  warn = (msg, vm) => {
+  warn = (msg, vm, id, params) => {
     const trace = vm ? generateComponentTrace(vm) : ''
+    const warnHandler = getWarnHandler(vm)
 
-    if (config.warnHandler) {
-      config.warnHandler.call(null, msg, vm, trace)
+    if (warnHandler) {
+      warnHandler.call(null, msg, vm, trace, { id, params })
     } else if (hasConsole && (!config.silent)) {
       console.error(`[Vue warn]: ${msg}${trace}`)
     }
   }
 
-  tip = (msg, vm) => {
-    if (hasConsole && (!config.silent)) {
+  tip = (msg, vm, id, params) => {
+    const warnHandler = getWarnHandler(vm)
+    if (warnHandler) {
+      warnHandler.call(null, msg, vm, vm ? generateComponentTrace(vm) : '', { id, params })
+    } else if (hasConsole && (!config.silent)) {
       console.warn(`[Vue tip]: ${msg}` + (
         vm ? generateComponentTrace(vm) : ''
       ))
@@ -97,4 +205,65 @@ if (process.env.NODE_ENV !== 'production') {
       return `\n\n(found in ${formatComponentName(vm)})`
     }
   }
+} else if (process.env.LITE_WARNINGS) {
+  // "lite" production builds keep a small set of warnings (props validation,
+  // missing components) so that they can be collected from real users.
+  // The component trace is not formatted, use the structured one instead.
+  // 精简警告的生产环境构建：只保留少量警告（props校验、组件缺失），
+  // 以便在生产环境中收集，不生成格式化的组件追踪信息
+  warn = (msg, vm, id, params) => {
+    const warnHandler = getWarnHandler(vm)
+    if (warnHandler) {
+      warnHandler.call(null, msg, vm, '', { id, params })
+    } else if (hasConsole && (!config.silent)) {
+      console.error(`[Vue warn]: ${msg}`)
+    }
+  }
+}
+
+/**
+ * Plain name of a component, available in all builds.
+ * 获取组件的名称（不带尖括号），生产环境下同样可用
+ */
+export function getComponentName (vm: Component): string {
+  const options: Object = vm.$options
+  let name = options.name || options._componentTag
+  if (!name && options.__file) {
+    const match = options.__file.match(/([^/\\]+)\.vue$/)
+    name = match && match[1]
+  }
+  return name || (vm.$root === vm ? 'Root' : 'Anonymous')
+}
+
+/**
+ * Structured version of the component trace, available in all builds
+ * so that error reporting can use it in production: one entry per
+ * component from the given instance up to the root, with consecutive
+ * recursive calls of the same component folded into one entry.
+ *
+ * 结构化的组件追踪信息，生产环境下同样可用，供错误上报使用
+ * 从当前组件开始，逐级向上直到根组件，连续递归调用的同一组件会被合并为一项
+ */
+export function getComponentTrace (vm: any): Array<ComponentTraceEntry> {
+  const trace = []
+  while (vm && vm._isVue) {
+    const last = trace.length ? trace[trace.length - 1] : null
+    if (last && last.vm.constructor === vm.constructor) {
+      last.entry.recursiveCalls++
+    } else {
+      trace.push({ vm, entry: createTraceEntry(vm) })
+    }
+    vm = vm.$parent
+  }
+  return trace.map(item => item.entry)
+}
+
+function createTraceEntry (vm: Component): ComponentTraceEntry {
+  const options: Object = vm.$options
+  return {
+    name: getComponentName(vm),
+    file: options.__file || null,
+    props: vm._props ? extend({}, vm._props) : null,
+    recursiveCalls: 0
+  }
 }
@@ -1,16 +1,54 @@
 /* @flow */
 
 import config from '../config'
-import { warn } from './debug'
-import { inBrowser, inWeex } from './env'
+import { warn, getAppConfig, getComponentTrace, WarningIds } from './debug'
+import { inBrowser, inWeex, isNative } from './env'
 import { isPromise } from 'shared/util'
 import { pushTarget, popTarget } from '../observer/dep'
 
-export function handleError (err: Error, vm: any, info: string) {
+/**
+ * Stable codes identifying where an error was thrown. They are passed
+ * to errorCaptured hooks and config.errorHandler alongside the
+ * human-readable info string, which may change between versions.
+ *
+ * 错误来源的稳定编码，与info字符串一起传给errorCaptured钩子和config.errorHandler
+ * info是给人阅读的描述，可能随版本变化，错误上报等场景应该使用编码进行判断
+ */
+export const ErrorCodes = {
+  DATA_FUNCTION: 'DATA_FUNCTION', // data()
+  RENDER_FUNCTION: 'RENDER_FUNCTION', // render
+  RENDER_ERROR: 'RENDER_ERROR', // renderError
+  LIFECYCLE_HOOK: 'LIFECYCLE_HOOK', // created、mounted等生命周期钩子
+  WATCHER_GETTER: 'WATCHER_GETTER', // watcher求值
+  WATCHER_CALLBACK: 'WATCHER_CALLBACK', // watcher回调（包括immediate）
+  COMPONENT_EVENT_HANDLER: 'COMPONENT_EVENT_HANDLER', // 通过$on注册的事件回调
+  NATIVE_EVENT_HANDLER: 'NATIVE_EVENT_HANDLER', // 模板中通过v-on注册的回调
+  DIRECTIVE_HOOK: 'DIRECTIVE_HOOK', // 自定义指令钩子
+  ERROR_CAPTURED_HOOK: 'ERROR_CAPTURED_HOOK', // errorCaptured钩子本身抛出的错误
+  INJECTION: 'INJECTION', // 缺少必需的注入
+  NEXT_TICK: 'NEXT_TICK', // nextTick回调
+  SCHEDULER: 'SCHEDULER' // 调度器在冲刷队列时抛出的错误
+}
+
+export type ErrorCode = $Values<typeof ErrorCodes>;
+
+/**
+ * Handle an error thrown at the given source: errorCaptured hooks
+ * of the ancestors are called first (any of them can stop the
+ * propagation by returning false), then config.errorHandler.
+ * Both receive the error code and the component trace as
+ * structured data: (err, vm, info, code, trace).
+ *
+ * 错误处理：先从当前组件向上依次调用祖先组件的errorCaptured钩子（返回false可以阻止错误继续传播），
+ * 最后交给全局的config.errorHandler处理
+ * 除了info之外，钩子还会接收到错误编码code和结构化的组件追踪信息trace
+ */
+export function handleError (err: Error, vm: any, info: string, code?: ErrorCode) {
   // Deactivate deps tracking while processing error handler to avoid possible infinite rendering.
   // See: https://github.com/vuejs/vuex/issues/1505
   pushTarget()
   try {
+    const trace = vm ? getComponentTrace(vm) : []
     if (vm) {
       let cur = vm
       while ((cur = cur.$parent)) {
@@ -18,16 +56,22 @@ export function handleError (err: Error, vm: any, info: string) {
         if (hooks) {
           for (let i = 0; i < hooks.length; i++) {
             try {
-              const capture = hooks[i].call(cur, err, vm, info) === false
+              const capture = hooks[i].call(cur, err, vm, info, code, trace) === false
               if (capture) return
             } catch (e) {
-              globalHandleError(e, cur, 'errorCaptured hook')
+              globalHandleError(
+                e,
+                cur,
+                'errorCaptured hook',
+                ErrorCodes.ERROR_CAPTURED_HOOK,
+                getComponentTrace(cur)
+              )
             }
           }
         }
       }
     }
-    globalHandleError(err, vm, info)
+    globalHandleError(err, vm, info, code, trace)
   } finally {
     popTarget()
   }
@@ -38,27 +82,142 @@ export function invokeWithErrorHandling (
   context: any,
   args: null | any[],
   vm: any,
-  info: string
+  info: string,
+  code?: ErrorCode
 ) {
   let res
+  // 开启了trackAsyncErrors时，记录当前正在执行的钩子所属的组件
+  // 在此期间创建的promise、通过Vue.trackPromise注册的promise会与该组件关联
+  const prevContext = asyncContext
+  const tracking = config.trackAsyncErrors && !!vm && canTrackAsync
+  if (tracking) {
+    asyncContext = { vm, info, code }
+    if (!prevContext) startTrackingThen()
+  }
   try {
     res = args ? handler.apply(context, args) : handler.call(context)
     if (res && !res._isVue && isPromise(res) && !res._handled) {
-      res.catch(e => handleError(e, vm, info + ` (Promise/async)`))
-      // issue #9511
-      // avoid catch triggering multiple times when nested calls
-      res._handled = true
+      handlePromiseError(res, vm, info, code)
     }
   } catch (e) {
-    handleError(e, vm, info)
+    handleError(e, vm, info, code)
+  } finally {
+    if (tracking) {
+      asyncContext = prevContext
+      if (!prevContext) stopTrackingThen()
+    }
+  }
+  return res
+}
+
+function handlePromiseError (promise: any, vm: any, info: string, code?: ErrorCode) {
+  promise.catch(e => handleError(e, vm, info + ` (Promise/async)`, code))
+  // issue #9511
+  // avoid catch triggering multiple times when nested calls
+  promise._handled = true
+}
+
+type AsyncContext = {
+  vm: Component;
+  info: string;
+  code?: ErrorCode;
+};
+
+// 当前正在执行的钩子的上下文
+let asyncContext: ?AsyncContext = null
+
+// 与组件关联的promise => 关联的上下文
+// 只有在浏览器中才能通过unhandledrejection事件得知哪些promise的错误没有被处理
+const canTrackAsync = inBrowser &&
+  typeof WeakMap !== 'undefined' &&
+  typeof Promise !== 'undefined' && isNative(Promise)
+const trackedPromises: ?WeakMap<Promise<any>, AsyncContext> =
+  canTrackAsync ? new WeakMap() : null
+const nativeThen = canTrackAsync ? Promise.prototype.then : null
+let listening = false
+
+/**
+ * Promises created in a hook, watcher callback or event handler
+ * (e.g. fetch().then(...) in created) are recorded while it runs
+ * synchronously: then() is wrapped for that duration only, and the
+ * wrapper just records the promise it returns, without changing its
+ * behaviour. Rejections that await on a promise directly, without
+ * calling then(), can't be seen and need Vue.trackPromise().
+ *
+ * 钩子、watcher回调和事件回调同步执行期间，临时包装then方法，记录其中创建的promise
+ * （例如created中的fetch().then(...)），包装函数只记录返回的promise，不改变promise的行为
+ * 直接await而不调用then的promise无法被记录，需要通过Vue.trackPromise注册
+ */
+function trackedThen () {
+  const res = (nativeThen: any).apply(this, arguments)
+  if (asyncContext) {
+    trackAsync(res, asyncContext)
   }
   return res
 }
 
-function globalHandleError (err, vm, info) {
-  if (config.errorHandler) {
+function startTrackingThen () {
+  // $flow-disable-line
+  Promise.prototype.then = trackedThen
+}
+
+function stopTrackingThen () {
+  // $flow-disable-line
+  Promise.prototype.then = nativeThen
+}
+
+// 记录promise关联的上下文，promise的错误没有被处理时（unhandledrejection）才会上报
+function trackAsync (promise: Promise<any>, context: AsyncContext) {
+  if (!trackedPromises) return
+  trackedPromises.set(promise, context)
+  if (!listening) {
+    listening = true
+    window.addEventListener('unhandledrejection', onUnhandledRejection)
+  }
+}
+
+function onUnhandledRejection (event: any) {
+  const context = trackedPromises && trackedPromises.get(event.promise)
+  if (context) {
+    // 错误交给errorCaptured和errorHandler处理，不再作为未处理的错误输出
+    event.preventDefault()
+    handleError(event.reason, context.vm, context.info + ` (Promise/async)`, context.code)
+  }
+}
+
+/**
+ * Explicitly register a promise whose rejection, if left unhandled,
+ * should be reported through errorCaptured and errorHandler, as an
+ * error of the given component, or of the hook currently running when
+ * config.trackAsyncErrors is on. Returns the promise.
+ *
+ * 手动注册一个promise，其错误没有被处理时，会作为指定组件的错误交给errorCaptured和errorHandler处理
+ * 没有指定组件时，与当前正在执行的钩子关联（需要开启config.trackAsyncErrors）
+ */
+export function trackPromise<T> (promise: T, vm?: Component): T {
+  const context = vm
+    ? { vm, info: 'tracked promise', code: undefined }
+    : asyncContext
+  if (!context) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Vue.trackPromise() needs a component when it is not called from ` +
+      `a hook with config.trackAsyncErrors enabled.`,
+      undefined,
+      WarningIds.TRACK_PROMISE_NO_COMPONENT
+    )
+  } else if (isPromise(promise)) {
+    trackAsync((promise: any), context)
+  }
+  return promise
+}
+
+function globalHandleError (err, vm, info, code, trace) {
+  // 组件属于通过Vue.createApp创建的应用时，优先使用应用的errorHandler
+  const appConfig = getAppConfig(vm)
+  const errorHandler = (appConfig && appConfig.errorHandler) || config.errorHandler
+  if (errorHandler) {
     try {
-      return config.errorHandler.call(null, err, vm, info)
+      return errorHandler.call(null, err, vm, info, code, trace)
     } catch (e) {
       // if the user intentionally throws the original error in the handler,
       // do not log it twice
@@ -67,12 +226,17 @@ function globalHandleError (err, vm, info) {
       }
     }
   }
-  logError(err, vm, info)
+  logError(err, vm, info, code)
 }
 
-function logError (err, vm, info) {
+function logError (err, vm, info, code) {
   if (process.env.NODE_ENV !== 'production') {
-    warn(`Error in ${info}: "${err.toString()}"`, vm)
+    warn(
+      `Error in ${info}: "${err.toString()}"`,
+      vm,
+      WarningIds.UNCAUGHT_ERROR,
+      { info, code }
+    )
   }
   /* istanbul ignore else */
   if ((inBrowser || inWeex) && typeof console !== 'undefined') {
@@ -1,14 +1,18 @@
 /* @flow */
 /* globals MutationObserver */
 
+import config from '../config'
 import { noop } from 'shared/util'
-import { handleError } from './error'
+import { handleError, ErrorCodes } from './error'
+import { isProfiling, profileStart, profileEnd } from './perf'
 import { isIE, isIOS, isNative } from './env'
 
 export let isUsingMicroTask = false
 
 const callbacks = [] // 缓存一段时间内通过nextTick注册进来的所有待执行任务
-let pending = false // 标志回调队列的下一轮执行是否已经注册
+let pending = false // 标志回调队列的下一轮执行是否已经注册（'manual'模式下不注册）
+// 时间切片的冲刷让出主线程期间，暂缓执行的回调
+let heldCallbacks: ?Array<Function> = null
 
 function flushCallbacks () {
   // TODO：这里浅拷贝一次的意义是什么？
@@ -17,8 +21,17 @@ function flushCallbacks () {
   pending = false
   const copies = callbacks.slice(0) // 浅拷贝一份当前待执行的任务 
   callbacks.length = 0 // 然后将当前待执行的任务队列置空 
+  const profileStartTime = profileStart()
   for (let i = 0; i < copies.length; i++) {
     copies[i]() // 逐个执行当前队列中的回调
+    if (heldCallbacks) {
+      // 冲刷让出了主线程，本轮剩余的回调同样需要暂缓，放在暂缓队列的最前面
+      heldCallbacks.unshift(...copies.slice(i + 1))
+      break
+    }
+  }
+  if (isProfiling()) {
+    profileEnd('nextTick', 'nextTick', profileStartTime, { callbacks: copies.length })
   }
 }
 
@@ -93,14 +106,108 @@ if (typeof Promise !== 'undefined' && isNative(Promise)) {
   }
 }
 
+/**
+ * Schedule the flushing of the callback queue: with the user supplied
+ * config.nextTickStrategy if any, otherwise with the built-in timerFunc.
+ * The strategy is read each time a flush is scheduled. In 'manual' mode
+ * nothing is scheduled and the queue stays unscheduled, so callbacks
+ * wait for flushTicks(), or for the next callback queued once the
+ * strategy is switched away from 'manual'.
+ *
+ * 注册下一轮回调队列的冲刷
+ * 优先使用config.nextTickStrategy指定的调度方式，否则使用内置的timerFunc
+ * 每次注册冲刷时才读取调度方式，'manual'模式下不做任何调度，也不标记为已注册，
+ * 回调会一直等到调用flushTicks()，或者切换为其他调度方式之后再有回调加入时才执行
+ */
+function scheduleFlush () {
+  const strategy = config.nextTickStrategy
+  if (strategy === 'manual') {
+    return
+  }
+  pending = true
+  if (typeof strategy === 'function') {
+    strategy(flushCallbacks)
+  } else {
+    timerFunc()
+  }
+}
+
+/**
+ * Queue a callback ahead of the held ones and schedule it with the
+ * current strategy. Used by the scheduler to continue a time-sliced
+ * flush when a custom config.nextTickStrategy is set, so that e.g.
+ * flushTicks() drains the whole flush in 'manual' mode.
+ *
+ * 将回调加入待执行队列（不受holdTicks影响），并通过当前的调度方式注册冲刷
+ * 设置了config.nextTickStrategy时，调度器通过它继续执行时间切片的冲刷，
+ * 这样'manual'模式下调用flushTicks()就能执行完整个冲刷
+ */
+export function queueTick (cb: Function) {
+  callbacks.push(cb)
+  if (!pending) {
+    scheduleFlush()
+  }
+}
+
+/**
+ * Synchronously run every pending callback, including the ones queued
+ * while flushing (e.g. updates triggered by watchers and the remaining
+ * slices of a time-sliced flush), until the queue is empty. Intended
+ * for tests using the 'manual' nextTick strategy.
+ *
+ * 同步执行所有待执行的回调，执行过程中新加入的回调也会被执行，直到队列清空
+ * 主要供'manual'模式下的单元测试使用，可以一步步地推进更新
+ */
+export function flushTicks () {
+  while (callbacks.length) {
+    flushCallbacks()
+  }
+}
+
+/**
+ * Hold the pending callbacks and the ones registered from now on until
+ * releaseTicks() is called. Used by the scheduler while a time-sliced
+ * flush is yielded, so that a $nextTick() called after a mutation
+ * still runs once the whole update is done.
+ *
+ * 暂缓执行待执行的回调以及之后注册的回调，直到调用releaseTicks()
+ * 供调度器在时间切片的冲刷让出主线程时使用，保证数据修改之后注册的$nextTick回调，
+ * 仍然在整批更新完成之后才执行
+ */
+export function holdTicks () {
+  if (!heldCallbacks) {
+    heldCallbacks = callbacks.slice(0)
+    callbacks.length = 0
+  }
+}
+
+/**
+ * Schedule the callbacks held by holdTicks().
+ * 注册暂缓的回调，在下一轮中执行
+ */
+export function releaseTicks () {
+  const held = heldCallbacks
+  if (held) {
+    heldCallbacks = null
+    if (held.length) {
+      callbacks.push(...held)
+      if (!pending) {
+        scheduleFlush()
+      }
+    }
+  }
+}
+
 export function nextTick (cb?: Function, ctx?: Object) {
   let _resolve
-  callbacks.push(() => { // 包装成一个函数，加入待执行的回调队列
+  // 暂缓期间注册的回调加入暂缓队列，在releaseTicks时才注册执行
+  const queue = heldCallbacks || callbacks
+  queue.push(() => { // 包装成一个函数，加入待执行的回调队列
     if (cb) {
       try {
         cb.call(ctx) // 执行异步回调
       } catch (e) {
-        handleError(e, ctx, 'nextTick')
+        handleError(e, ctx, 'nextTick', ErrorCodes.NEXT_TICK)
       }
     } else if (_resolve) {
       // 无参调用的场合，返回一个promise，在这个回调执行后
@@ -108,10 +215,9 @@ export function nextTick (cb?: Function, ctx?: Object) {
       _resolve(ctx)
     }
   })
-  if (!pending) {
-    // 如果当前没有待执行的下一轮异步“冲刷”，那么通过timerFunc来注册一个
-    pending = true
-    timerFunc()
+  if (!pending && !heldCallbacks) {
+    // 如果当前没有待执行的下一轮异步“冲刷”，那么注册一个
+    scheduleFlush()
   }
   // $flow-disable-line
   // returns a Promise if no callback is provided and Promise is supported in the execution environment. 
@@ -1,9 +1,9 @@
 /* @flow */
 
 import config from '../config'
-import { warn } from './debug'
+import { warn, WarningIds, formatComponentName } from './debug'
 import { set } from '../observer/index'
-import { unicodeRegExp } from './lang'
+import { unicodeRegExp, def } from './lang'
 import { nativeWatch, hasSymbol } from './env'
 
 import {
@@ -28,6 +28,80 @@ import {
  */
 const strats = config.optionMergeStrategies
 
+// dev only: labels of the sources the data properties, methods and computed
+// properties come from, used by the config.warnMixinConflicts warnings.
+// 开发环境下记录data属性、方法和计算属性的来源，用于config.warnMixinConflicts的警告
+// 合并结果 => { key: 来源 }
+const hasWeakMap = typeof WeakMap !== 'undefined'
+const sourceLabels: ?WeakMap<Object, Object> =
+  process.env.NODE_ENV !== 'production' && hasWeakMap
+    ? new WeakMap()
+    : null
+// 当前正在合并的选项的来源，以及即将被合并的extends/mixins的来源
+let mergingSource = ''
+let pendingSource = ''
+// data的冲突在每次创建实例时检测，同样的冲突只警告一次
+const warnedConflicts = Object.create(null)
+
+function shouldTrackConflicts (): boolean {
+  return process.env.NODE_ENV !== 'production' && config.warnMixinConflicts && !!sourceLabels
+}
+
+/**
+ * Label the options passed to the next mergeOptions call in the
+ * config.warnMixinConflicts warnings (e.g. "global mixin #1").
+ * 设置下一次mergeOptions合并的选项在冲突警告中的来源（如"global mixin #1"）
+ */
+export function setMergeSource (source: string) {
+  if (shouldTrackConflicts()) {
+    pendingSource = source
+  }
+}
+
+function getSourceLabel (value: ?Object, key: string): string {
+  const labels = value && sourceLabels ? sourceLabels.get(value) : null
+  return (labels && labels[key]) || 'the parent options'
+}
+
+function recordSourceLabels (res: Object, parentVal: ?Object, childVal: ?Object, source: string) {
+  if (!sourceLabels) return
+  const labels = Object.create(null)
+  const parentLabels = parentVal && sourceLabels.get(parentVal)
+  if (parentLabels) extend(labels, parentLabels)
+  if (childVal) {
+    for (const key in childVal) {
+      if (res[key] === childVal[key]) labels[key] = source
+    }
+  }
+  sourceLabels.set(res, labels)
+}
+
+function warnConflict (type: string, key: string, source: string, overridden: string) {
+  const msg = `${type} "${key}" defined in ${source} overrides the one defined in ${overridden}.`
+  if (!warnedConflicts[msg]) {
+    warnedConflicts[msg] = true
+    warn(
+      msg,
+      undefined,
+      WarningIds.MIXIN_CONFLICT,
+      { type, key, source, overridden }
+    )
+  }
+}
+
+/**
+ * Mark a method or computed property as not overridable: when a later
+ * mixin or the component itself defines the same key, the marked
+ * definition is kept (and a warning is emitted in development).
+ *
+ * 将方法或计算属性标记为不可覆盖：之后的混入或组件自身定义了同名的key时，
+ * 仍然使用被标记的定义（开发环境下会发出警告）
+ */
+export function noShadow<T: Function | Object> (value: T): T {
+  def(value, '__v_noShadow', true)
+  return value
+}
+
 /**
  * Options with restrictions
  */
@@ -36,7 +110,10 @@ if (process.env.NODE_ENV !== 'production') {
     if (!vm) {
       warn(
         `option "${key}" can only be used during instance ` +
-        'creation with the `new` keyword.'
+        'creation with the `new` keyword.',
+        undefined,
+        WarningIds.OPTION_INSTANCE_ONLY,
+        { option: key }
       )
     }
     return defaultStrat(parent, child)
@@ -129,17 +206,72 @@ strats.data = function (
         'The "data" option should be a function ' +
         'that returns a per-instance value in component ' +
         'definitions.',
-        vm
+        vm,
+        WarningIds.DATA_NOT_FUNCTION
       )
 
       return parentVal
     }
+    if (childVal && shouldTrackConflicts()) {
+      return mergeDataWithConflicts(parentVal, childVal, vm, mergingSource)
+    }
     return mergeDataOrFn(parentVal, childVal)
   }
 
+  if (childVal && shouldTrackConflicts()) {
+    return mergeDataWithConflicts(parentVal, childVal, vm, mergingSource)
+  }
   return mergeDataOrFn(parentVal, childVal, vm)
 }
 
+/**
+ * Same as mergeDataOrFn, but also records where each data property
+ * comes from and warns when the child's data overrides a property of
+ * the parent's. Data is only known at instantiation, so the check runs
+ * when the data function is called.
+ *
+ * 与mergeDataOrFn相同，同时记录每个data属性的来源，并在子选项的data覆盖父选项的属性时发出警告
+ * data只有在创建实例时才能确定，因此在调用data函数时检测
+ */
+function mergeDataWithConflicts (
+  parentVal: any,
+  childVal: any,
+  vm?: Component,
+  source: string
+): Function {
+  return function mergedDataFn () {
+    const context = vm || this
+    const childData = typeof childVal === 'function'
+      ? childVal.call(context, context)
+      : childVal
+    const parentData = typeof parentVal === 'function'
+      ? parentVal.call(context, context)
+      : parentVal
+    if (!childData) {
+      return parentData
+    }
+    if (parentData) {
+      // 同名的属性都视为冲突（即使初始值相同），只有两边都是普通对象时会被递归合并
+      for (const key in parentData) {
+        if (
+          hasOwn(childData, key) &&
+          !(isPlainObject(childData[key]) && isPlainObject(parentData[key]))
+        ) {
+          warnConflict('Data property', key, source, getSourceLabel(parentData, key))
+        }
+      }
+    }
+    // 子选项的属性优先，先记录来源再合并
+    const labels = Object.create(null)
+    const parentLabels = parentData && sourceLabels && sourceLabels.get(parentData)
+    if (parentLabels) extend(labels, parentLabels)
+    for (const key in childData) labels[key] = source
+    const res = mergeData(childData, parentData)
+    if (sourceLabels) sourceLabels.set(res, labels)
+    return res
+  }
+}
+
 /**
  * Hooks and props are merged as arrays.
  */
@@ -239,9 +371,7 @@ strats.watch = function (
  * Other object hashes.
  */
 strats.props =
-strats.methods =
-strats.inject =
-strats.computed = function (
+strats.inject = function (
   parentVal: ?Object,
   childVal: ?Object,
   vm?: Component,
@@ -256,6 +386,57 @@ strats.computed = function (
   if (childVal) extend(ret, childVal)
   return ret
 }
+
+/**
+ * Methods and computed properties: the child's definitions win,
+ * except over the ones marked with noShadow().
+ * 方法和计算属性：子选项的定义优先，被noShadow标记的定义除外
+ */
+strats.methods =
+strats.computed = function (
+  parentVal: ?Object,
+  childVal: ?Object,
+  vm?: Component,
+  key: string
+): ?Object {
+  if (childVal && process.env.NODE_ENV !== 'production') {
+    assertObjectType(key, childVal, vm)
+  }
+  const trackConflicts = shouldTrackConflicts()
+  if (!parentVal && !trackConflicts) return childVal
+  const ret = Object.create(null)
+  if (parentVal) extend(ret, parentVal)
+  if (childVal) {
+    const type = key === 'methods' ? 'Method' : 'Computed property'
+    for (const name in childVal) {
+      const parent = parentVal && parentVal[name]
+      if (parent && parent !== childVal[name]) {
+        if (parent.__v_noShadow) {
+          if (process.env.NODE_ENV !== 'production') {
+            warn(
+              `${type} "${name}" cannot be overridden` +
+              (trackConflicts ? ` by ${mergingSource}` : '') +
+              `: it is marked with Vue.noShadow()` +
+              (trackConflicts ? ` in ${getSourceLabel(parentVal, name)}` : '') + `.`,
+              vm,
+              WarningIds.MIXIN_NO_SHADOW,
+              { type, key: name }
+            )
+          }
+          continue
+        }
+        if (trackConflicts) {
+          warnConflict(type, name, mergingSource, getSourceLabel(parentVal, name))
+        }
+      }
+      ret[name] = childVal[name]
+    }
+  }
+  if (trackConflicts) {
+    recordSourceLabels(ret, parentVal, childVal, mergingSource)
+  }
+  return ret
+}
 strats.provide = mergeDataOrFn
 
 /**
@@ -276,17 +457,131 @@ function checkComponents (options: Object) {
   }
 }
 
+// 组件选项的schema：Vue本身支持的所有选项
+const builtInOptions = [
+  'data', 'props', 'propsData', 'computed', 'methods', 'watch',
+  'el', 'template', 'render', 'renderError', 'staticRenderFns',
+  'directives', 'filters', 'components',
+  'parent', 'mixins', 'extends', 'provide', 'inject',
+  'name', 'delimiters', 'functional', 'model', 'inheritAttrs', 'comments', 'abstract',
+  'serverCacheKey'
+].concat(LIFECYCLE_HOOKS)
+
+// 已经检查过的选项对象，同一个混入被合并多次时只警告一次
+const checkedOptions = typeof WeakSet !== 'undefined' ? new WeakSet() : null
+
+/**
+ * Warn about unknown options, e.g. misspelled ones (watchs,
+ * beforeDestory) which would otherwise be silently ignored. Options
+ * with a custom merge strategy, listed in config.knownOptions, or
+ * starting with _ or $ (internal ones) are considered known.
+ *
+ * 检查未知的组件选项（如拼写错误的watchs、beforeDestory），否则这些选项会被静默忽略
+ * 以下选项不会被警告：Vue本身支持的选项、定义了自定义合并策略的选项、
+ * 在config.knownOptions中声明的选项，以及以_或$开头的内部选项
+ */
+function checkOptions (options: Object, vm?: Component) {
+  // 合并后的选项（有_base属性）已经检查过
+  if (typeof options === 'function' || options._base) {
+    return
+  }
+  if (checkedOptions) {
+    if (checkedOptions.has(options)) return
+    checkedOptions.add(options)
+  }
+  for (const key in options) {
+    if (
+      key.charAt(0) === '_' ||
+      key.charAt(0) === '$' ||
+      builtInOptions.indexOf(key) > -1 ||
+      hasOwn(strats, key) ||
+      isKnownOption(key)
+    ) {
+      continue
+    }
+    const suggestion = suggestOption(key)
+    const name = options.name || (vm && vm.$options && vm.$options.name)
+    warn(
+      `Unknown option "${key}"` + (name ? ` in component "${name}"` : '') + `. ` +
+      (suggestion
+        ? `Did you mean "${suggestion}"?`
+        : `If it is used by a plugin, add it to Vue.config.knownOptions.`),
+      vm,
+      WarningIds.OPTION_UNKNOWN,
+      { option: key, suggestion }
+    )
+  }
+}
+
+function isKnownOption (key: string): boolean {
+  return config.knownOptions.some(option => {
+    return typeof option === 'string' ? option === key : option.test(key)
+  })
+}
+
+/**
+ * Find the closest known option, allowing about one typo
+ * (insertion, deletion, substitution or transposition) per three
+ * characters, up to two.
+ * 查找最接近的已知选项，每3个字符最多允许1处拼写错误，最多2处
+ */
+function suggestOption (key: string): ?string {
+  // knownOptions中的正则无法作为建议
+  const knownNames: Array<string> = (config.knownOptions.filter(option => typeof option === 'string'): any)
+  const candidates = builtInOptions
+    .concat(Object.keys(strats))
+    .concat(knownNames)
+  const maxDistance = Math.min(2, Math.max(1, Math.floor(key.length / 3)))
+  let suggestion
+  let best = maxDistance + 1
+  for (let i = 0; i < candidates.length; i++) {
+    const distance = editDistance(key.toLowerCase(), candidates[i].toLowerCase())
+    if (distance < best) {
+      best = distance
+      suggestion = candidates[i]
+    }
+  }
+  return suggestion
+}
+
+// 编辑距离（相邻字符交换计为一次编辑）
+function editDistance (a: string, b: string): number {
+  const d = []
+  for (let i = 0; i <= a.length; i++) {
+    d[i] = [i]
+  }
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+    }
+  }
+  return d[a.length][b.length]
+}
+
 export function validateComponentName (name: string) {
   if (!new RegExp(`^[a-zA-Z][\\-\\.0-9_${unicodeRegExp.source}]*$`).test(name)) {
     warn(
       'Invalid component name: "' + name + '". Component names ' +
-      'should conform to valid custom element name in html5 specification.'
+      'should conform to valid custom element name in html5 specification.',
+      undefined,
+      WarningIds.COMPONENT_NAME_INVALID,
+      { name }
     )
   }
   if (isBuiltInTag(name) || config.isReservedTag(name)) {
     warn(
       'Do not use built-in or reserved HTML elements as component ' +
-      'id: ' + name
+      'id: ' + name,
+      undefined,
+      WarningIds.COMPONENT_NAME_RESERVED,
+      { name }
     )
   }
 }
@@ -308,7 +603,11 @@ function normalizeProps (options: Object, vm: ?Component) {
         name = camelize(val)
         res[name] = { type: null }
       } else if (process.env.NODE_ENV !== 'production') {
-        warn('props must be strings when using array syntax.')
+        warn(
+          'props must be strings when using array syntax.',
+          vm,
+          WarningIds.PROPS_ARRAY_NOT_STRINGS
+        )
       }
     }
   } else if (isPlainObject(props)) {
@@ -323,7 +622,9 @@ function normalizeProps (options: Object, vm: ?Component) {
     warn(
       `Invalid value for option "props": expected an Array or an Object, ` +
       `but got ${toRawType(props)}.`,
-      vm
+      vm,
+      WarningIds.OPTION_INVALID_TYPE,
+      { option: 'props', receivedType: toRawType(props) }
     )
   }
   options.props = res
@@ -351,7 +652,9 @@ function normalizeInject (options: Object, vm: ?Component) {
     warn(
       `Invalid value for option "inject": expected an Array or an Object, ` +
       `but got ${toRawType(inject)}.`,
-      vm
+      vm,
+      WarningIds.OPTION_INVALID_TYPE,
+      { option: 'inject', receivedType: toRawType(inject) }
     )
   }
 }
@@ -376,7 +679,9 @@ function assertObjectType (name: string, value: any, vm: ?Component) {
     warn(
       `Invalid value for option "${name}": expected an Object, ` +
       `but got ${toRawType(value)}.`,
-      vm
+      vm,
+      WarningIds.OPTION_INVALID_TYPE,
+      { option: name, receivedType: toRawType(value) }
     )
   }
 }
@@ -392,6 +697,7 @@ export function mergeOptions (
 ): Object {
   if (process.env.NODE_ENV !== 'production') {
     checkComponents(child)
+    checkOptions(child, vm)
   }
 
   if (typeof child === 'function') {
@@ -402,16 +708,31 @@ export function mergeOptions (
   normalizeInject(child, vm)
   normalizeDirectives(child)
 
+  // 开启了config.warnMixinConflicts时，记录当前选项的来源（如"mixin #1 of <Foo>"）
+  // 没有name的组件使用__file标识（如"<Foo> at src/Foo.vue"）
+  const trackConflicts = shouldTrackConflicts()
+  let source = ''
+  if (trackConflicts) {
+    source = pendingSource || (child.name || child.__file
+      ? formatComponentName(child, !child.name)
+      : vm
+        ? 'the instance options'
+        : formatComponentName(child, false))
+  }
+  pendingSource = ''
+
   // Apply extends and mixins on the child options,
   // but only if it is a raw options object that isn't
   // the result of another mergeOptions call.
   // Only merged options has the _base property.
   if (!child._base) {
     if (child.extends) {
+      if (trackConflicts) pendingSource = `the options extended by ${source}`
       parent = mergeOptions(parent, child.extends, vm)
     }
     if (child.mixins) {
       for (let i = 0, l = child.mixins.length; i < l; i++) {
+        if (trackConflicts) pendingSource = `mixin #${i + 1} of ${source}`
         parent = mergeOptions(parent, child.mixins[i], vm)
       }
     }
@@ -419,13 +740,19 @@ export function mergeOptions (
 
   const options = {}
   let key
-  for (key in parent) {
-    mergeField(key)
-  }
-  for (key in child) {
-    if (!hasOwn(parent, key)) {
+  const prevSource = mergingSource
+  mergingSource = source
+  try {
+    for (key in parent) {
       mergeField(key)
     }
+    for (key in child) {
+      if (!hasOwn(parent, key)) {
+        mergeField(key)
+      }
+    }
+  } finally {
+    mergingSource = prevSource
   }
   function mergeField (key) {
     const strat = strats[key] || defaultStrat
@@ -458,10 +785,16 @@ export function resolveAsset (
   if (hasOwn(assets, PascalCaseId)) return assets[PascalCaseId]
   // fallback to prototype chain
   const res = assets[id] || assets[camelizedId] || assets[PascalCaseId]
-  if (process.env.NODE_ENV !== 'production' && warnMissing && !res) {
+  if (
+    (process.env.NODE_ENV !== 'production' || process.env.LITE_WARNINGS) &&
+    warnMissing &&
+    !res
+  ) {
     warn(
       'Failed to resolve ' + type.slice(0, -1) + ': ' + id,
-      options
+      options,
+      WarningIds.ASSET_NOT_FOUND,
+      { type: type.slice(0, -1), id }
     )
   }
   return res
@@ -22,3 +22,74 @@ if (process.env.NODE_ENV !== 'production') {
     }
   }
 }
+
+/**
+ * Trace recorder producing Chrome Trace Event Format JSON, which can be
+ * loaded into the Chrome profiler or Perfetto. Unlike the marks above it
+ * is available in all builds, so production bundles can be profiled too.
+ * Spans are recorded as complete ("X") events, nesting is derived from
+ * their timestamps (e.g. child component init inside the parent patch).
+ *
+ * 记录Chrome Trace Event格式的性能数据，可以导入Chrome性能面板或Perfetto中查看
+ * 与上面的mark/measure不同，生产环境下同样可用
+ * 每个阶段记录为一个完整事件（ph为"X"），事件之间的嵌套关系由时间戳推断
+ */
+const now = typeof performance !== 'undefined' && typeof performance.now === 'function'
+  ? () => performance.now()
+  : Date.now
+
+// 正在记录时为事件数组，未记录时为null
+let traceEvents = null
+
+export function isProfiling () {
+  return traceEvents !== null
+}
+
+export function startProfiling () {
+  traceEvents = []
+}
+
+/**
+ * Stop recording and return the recorded session as a trace object,
+ * which only needs JSON.stringify to be saved as a .json trace file.
+ * 停止记录，返回记录的数据，通过JSON.stringify即可保存为trace文件
+ */
+export function stopProfiling () {
+  const events = traceEvents || []
+  traceEvents = null
+  return {
+    traceEvents: [
+      { name: 'process_name', ph: 'M', pid: 1, tid: 1, args: { name: 'Vue' }},
+      { name: 'thread_name', ph: 'M', pid: 1, tid: 1, args: { name: 'main' }}
+    ].concat(events),
+    displayTimeUnit: 'ms'
+  }
+}
+
+/**
+ * Start a span, returning its start time, or -1 when not recording.
+ * 开始记录一个阶段，返回开始时间，未在记录时返回-1
+ */
+export function profileStart () {
+  return traceEvents ? now() : -1
+}
+
+/**
+ * End a span started with profileStart(). Times are in microseconds.
+ * Spans started before recording was (re)started are dropped.
+ * 结束一个阶段，trace中的时间单位为微秒，开始记录之前开始的阶段会被忽略
+ */
+export function profileEnd (name, cat, start, args) {
+  if (traceEvents && start !== -1) {
+    traceEvents.push({
+      name,
+      cat,
+      ph: 'X',
+      ts: start * 1000,
+      dur: (now() - start) * 1000,
+      pid: 1,
+      tid: 1,
+      args
+    })
+  }
+}
@@ -1,6 +1,6 @@
 /* @flow */
 
-import { warn } from './debug'
+import { warn, WarningIds } from './debug'
 import { observe, toggleObserving, shouldObserve } from '../observer/index'
 import {
   hasOwn,
@@ -52,7 +52,8 @@ export function validateProp (
     toggleObserving(prevShouldObserve)
   }
   if (
-    process.env.NODE_ENV !== 'production' &&
+    // "lite" production builds keep props validation warnings
+    (process.env.NODE_ENV !== 'production' || process.env.LITE_WARNINGS) &&
     // skip validation for weex recycle-list child component props
     !(__WEEX__ && isObject(value) && ('@binding' in value))
   ) {
@@ -76,7 +77,9 @@ function getPropDefaultValue (vm: ?Component, prop: PropOptions, key: string): a
       'Invalid default value for prop "' + key + '": ' +
       'Props with type Object/Array must use a factory function ' +
       'to return the default value.',
-      vm
+      vm,
+      WarningIds.PROP_INVALID_DEFAULT,
+      { prop: key }
     )
   }
   // the raw prop value was also undefined from previous render,
@@ -107,7 +110,9 @@ function assertProp (
   if (prop.required && absent) {
     warn(
       'Missing required prop: "' + name + '"',
-      vm
+      vm,
+      WarningIds.PROP_REQUIRED_MISSING,
+      { prop: name }
     )
     return
   }
@@ -132,7 +137,9 @@ function assertProp (
   if (!valid && haveExpectedTypes) {
     warn(
       getInvalidTypeMessage(name, value, expectedTypes),
-      vm
+      vm,
+      WarningIds.PROP_INVALID_TYPE,
+      { prop: name, expectedTypes, receivedType: toRawType(value) }
     )
     return
   }
@@ -141,7 +148,9 @@ function assertProp (
     if (!validator(value)) {
       warn(
         'Invalid prop: custom validator check failed for prop "' + name + '".',
-        vm
+        vm,
+        WarningIds.PROP_VALIDATOR_FAILED,
+        { prop: name }
       )
     }
   }
@@ -170,7 +179,12 @@ function assertType (value: any, type: Function, vm: ?Component): {
     try {
       valid = value instanceof type
     } catch (e) {
-      warn('Invalid prop type: "' + String(type) + '" is not a constructor', vm);
+      warn(
+        'Invalid prop type: "' + String(type) + '" is not a constructor',
+        vm,
+        WarningIds.PROP_TYPE_NOT_CONSTRUCTOR,
+        { type: String(type) }
+      );
       valid = false;
     }
   }
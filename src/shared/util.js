@@ -63,6 +63,14 @@ export function isRegExp (v: any): boolean {
   return _toString.call(v) === '[object RegExp]'
 }
 
+export function isMap (v: any): boolean {
+  return _toString.call(v) === '[object Map]'
+}
+
+export function isSet (v: any): boolean {
+  return _toString.call(v) === '[object Set]'
+}
+
 /**
  * Check if val is a valid array index.
  */
@@ -329,6 +337,15 @@ export function looseIndexOf (arr: Array<mixed>, val: mixed): number {
   return -1
 }
 
+/**
+ * Check whether a value has changed, accounting for NaN.
+ */
+export function hasChanged (value: any, oldValue: any): boolean {
+  /* eslint-disable no-self-compare */
+  return value !== oldValue && (value === value || oldValue === oldValue)
+  /* eslint-enable no-self-compare */
+}
+
 /**
  * Ensure a function is called only once.
  */